@@ -1,12 +1,45 @@
-const cloudinary = require('../config/cloudinary');
+const crypto = require('crypto');
 const documentRepository = require('../repositories/documentRepository');
 const { parseFile, chunkText } = require('../services/fileparsingService');
 const { storeChunksWithEmbeddings } = require('../services/embeddingService');
-const { detectLanguage } = require('../services/languageService');
+const { detectLanguage, isLanguageSupported } = require('../services/languageService');
 const { getFileExtension } = require('../middlewares/upload');
+const { signWorkerRequest } = require('../middlewares/workerAuth');
+const { uploadFile, deleteFile } = require('../services/storageService');
+const { summarizeChildStatuses } = require('../services/childDocumentService');
+
+/**
+ * Resolve the language hint for an upload (drives the OCR language)
+ * An explicit `language` / `locale` field wins over the Accept-Language header. Only an
+ * explicit hint overrides OCR script detection; the browser language is a weaker hint.
+ * @param {object} req - Express request
+ * @returns {object} - { language, source } supported ISO 639-1 code and 'document' | 'locale',
+ *   or { language: null, source: null } to auto-detect
+ */
+const getLanguageHint = (req) => {
+  const candidates = [
+    ...[req.body?.language, req.body?.locale].map(value => ({ value, source: 'document' })),
+    ...(req.headers['accept-language'] || '')
+      .split(',')
+      .map(part => ({ value: part.split(';')[0].trim(), source: 'locale' }))
+  ];
+
+  for (const { value, source } of candidates) {
+    if (!value) continue;
+
+    const langCode = String(value).toLowerCase().split(/[-_]/)[0];
+    if (isLanguageSupported(langCode)) {
+      return { language: langCode, source };
+    }
+  }
+
+  return { language: null, source: null };
+};
 
 /**
  * Upload and process document
+ * A byte-identical file the user (or the seeded library) already has is not stored
+ * again; the existing document is returned unless `force=true` is sent.
  */
 
 exports.uploadDocument = async (req, res) => {
@@ -23,23 +56,35 @@ exports.uploadDocument = async (req, res) => {
 
     const fileType = getFileExtension(mimetype).replace('.', '');
 
+    // Fingerprint the file to catch re-uploads of the same bytes
+    const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const force = String(req.body?.force ?? req.query?.force) === 'true';
+    const languageHint = getLanguageHint(req);
+
+    if (!force) {
+      const existing = await documentRepository.findDocumentByFileHash(fileHash, userId);
+
+      if (existing) {
+        console.log(`Duplicate upload of ${originalname}, matches document ${existing.id}`);
+
+        return res.status(200).json({
+          duplicate: true,
+          document: {
+            id: existing.id,
+            title: existing.title,
+            fileType: existing.file_type,
+            processingStatus: existing.processing_status,
+            uploadedAt: existing.uploaded_at,
+            isSeeded: existing.is_seeded
+          },
+          message: 'This file was already uploaded. Resend with force=true to store a fresh copy.',
+          forceUpload: { field: 'force', value: 'true' }
+        });
+      }
+    }
+
     // ✅ Upload to Cloudinary with PUBLIC access
-    const uploadResult = await new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'manufacturing-compliance',
-          resource_type: 'auto',
-          public_id: `${Date.now()}-${originalname.replace(/\.[^/.]+$/, '')}`,
-          access_mode: 'public', // ✅ ADD THIS - makes file publicly accessible
-          type: 'upload' // ✅ ADD THIS - not 'authenticated'
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
-      uploadStream.end(buffer);
-    });
+    const uploadResult = await uploadFile(buffer, originalname);
 
     console.log('File uploaded to Cloudinary:', uploadResult.secure_url);
 
@@ -53,6 +98,9 @@ exports.uploadDocument = async (req, res) => {
       cloudinary_id: uploadResult.public_id,
       mime_type: mimetype,
       file_size: size,
+      file_hash: fileHash,
+      language_hint: languageHint.language,
+      language_hint_source: languageHint.source,
        processing_status: 'pending'
     });
 
@@ -69,6 +117,7 @@ exports.uploadDocument = async (req, res) => {
         processingStatus: 'pending',
         uploadedAt: document.uploaded_at
       },
+      duplicate: false,
       message: 'Document uploaded successfully. Processing queued.'
     });
 
@@ -86,18 +135,21 @@ const triggerWorker = async (documentId, cloudinaryUrl, mimeType, fileType) => {
       return;
     }
 
-    await fetch(`${process.env.RENDER_WORKER_URL}/process-document`, {
+    const url = `${process.env.RENDER_WORKER_URL}/process-document`;
+    const body = JSON.stringify({
+      documentId,
+      cloudinaryUrl,
+      mimeType,
+      fileType
+    });
+
+    await fetch(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.WORKER_SECRET}`
+        ...signWorkerRequest('POST', url, body)
       },
-      body: JSON.stringify({
-        documentId,
-        cloudinaryUrl,
-        mimeType,
-        fileType
-      })
+      body
     });
 
     console.log(`✅ Worker triggered for document ${documentId}`);
@@ -116,11 +168,28 @@ const triggerWorker = async (documentId, cloudinaryUrl, mimeType, fileType) => {
 
 /**
  * Get all documents for current user
+ * Query: docNumber, revision (filters, case-insensitive), sortBy (uploaded_at, effective_date, doc_number,
+ * revision), order (asc, desc); each at most once
  */
 exports.getAllDocuments = async (req, res) => {
   try {
     const userId = req.user.id;
-    const documents = await documentRepository.getAllDocuments(userId);
+    const { docNumber, revision, sortBy, order } = req.query;
+
+    // Repeated parameters (?docNumber=a&docNumber=b) arrive as arrays
+    const invalid = Object.entries({ docNumber, revision, sortBy, order })
+      .filter(([, value]) => value !== undefined && typeof value !== 'string')
+      .map(([name]) => name);
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Query parameters must be given once: ${invalid.join(', ')}` });
+    }
+
+    const documents = await documentRepository.getAllDocuments(userId, {
+      docNumber,
+      revision,
+      sortBy,
+      ascending: order === 'asc'
+    });
 
     // Format response
     const formattedDocs = documents.map(doc => ({
@@ -134,7 +203,11 @@ exports.getAllDocuments = async (req, res) => {
       totalPages: doc.total_pages,
       uploadedAt: doc.uploaded_at,
       processedAt: doc.processed_at,
-      isSeeded: doc.is_seeded
+      isSeeded: doc.is_seeded,
+      parentDocumentId: doc.parent_document_id || null,
+      docNumber: doc.doc_number || null,
+      revision: doc.revision || null,
+      effectiveDate: doc.effective_date || null
     }));
 
     res.json({ documents: formattedDocs });
@@ -159,6 +232,11 @@ exports.getDocumentById = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    // Attachments of an email (or files of an archive) are linked child documents;
+    // the aggregate status also covers archives nested inside archives
+    const descendants = await documentRepository.getChildDocuments(document.id, { recursive: true });
+    const children = descendants.filter(child => child.parent_document_id === document.id);
+
     res.json({
       document: {
         id: document.id,
@@ -172,7 +250,21 @@ exports.getDocumentById = async (req, res) => {
         totalPages: document.total_pages,
         uploadedAt: document.uploaded_at,
         processedAt: document.processed_at,
-        isSeeded: document.is_seeded
+        isSeeded: document.is_seeded,
+        metadata: document.metadata || {},
+        docNumber: document.doc_number || null,
+        revision: document.revision || null,
+        effectiveDate: document.effective_date || null,
+        parentDocumentId: document.parent_document_id || null,
+        children: children.map(child => ({
+          id: child.id,
+          title: child.title,
+          filename: child.filename,
+          sourcePath: child.metadata?.sourcePath || child.filename,
+          fileType: child.file_type,
+          processingStatus: child.processing_status
+        })),
+        childrenStatus: summarizeChildStatuses(descendants)
       }
     });
 
@@ -197,18 +289,17 @@ exports.deleteDocument = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Delete from Cloudinary if exists
-    if (document.cloudinary_id) {
-      try {
-        await cloudinary.uploader.destroy(document.cloudinary_id);
-        console.log('Deleted from Cloudinary:', document.cloudinary_id);
-      } catch (cloudinaryError) {
-        console.error('Cloudinary deletion error:', cloudinaryError.message);
+    // Delete from Cloudinary if exists (child documents' files too)
+    const children = await documentRepository.getChildDocuments(document.id, { recursive: true });
+
+    for (const file of [document, ...children]) {
+      if (file.cloudinary_id) {
         // Continue even if Cloudinary deletion fails
+        await deleteFile(file.cloudinary_id);
       }
     }
 
-    // Delete from database (CASCADE will delete chunks and chat history)
+    // Delete from database (CASCADE will delete chunks, chat history and child documents)
     await documentRepository.deleteDocument(id, userId);
 
     res.json({ message: 'Document deleted successfully' });
@@ -256,10 +347,19 @@ exports.getProcessingStatus = async (req, res) => {
       return res.status(404).json({ error: 'Document not found' });
     }
 
+    const descendants = await documentRepository.getChildDocuments(document.id, { recursive: true });
+
     res.json({
       documentId: document.id,
       status: document.processing_status,
+      // Email attachments / archive entries: null when the document has no children
+      childrenStatus: summarizeChildStatuses(descendants),
       error: document.processing_error,
+      errorCode: (document.error_history || []).slice(-1)[0]?.code || null,
+      attemptCount: document.attempt_count,
+      nextRetryAt: document.next_retry_at,
+      errorHistory: document.error_history,
+      stats: document.processing_stats,
       totalPages: document.total_pages,
       processedAt: document.processed_at
     });
@@ -269,3 +369,178 @@ exports.getProcessingStatus = async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 };
+
+// Statuses after which progress no longer changes
+const TERMINAL_STATUSES = ['completed', 'failed', 'dead_letter'];
+
+// How often the event stream re-reads the document
+const PROGRESS_STREAM_INTERVAL_MS = parseInt(process.env.PROGRESS_STREAM_INTERVAL_MS, 10) || 2000;
+
+// Helper function to shape progress fields for the API
+const formatProgress = (document) => ({
+  documentId: document.id,
+  status: document.processing_status,
+  stage: document.processing_stage,
+  percent: document.progress_percent || 0,
+  stageTimings: document.stage_timings || {},
+  stats: document.processing_stats || {},
+  error: document.processing_error,
+  nextRetryAt: document.next_retry_at,
+  totalPages: document.total_pages,
+  processedAt: document.processed_at
+});
+
+/**
+ * Get processing progress (GET /documents/:id/progress)
+ * Clients sending `Accept: text/event-stream` get the live stream instead.
+ */
+exports.getProcessingProgress = async (req, res) => {
+  if ((req.headers.accept || '').includes('text/event-stream')) {
+    return exports.streamProcessingProgress(req, res);
+  }
+
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const document = await documentRepository.getDocumentById(id, userId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json(formatProgress(document));
+
+  } catch (error) {
+    console.error('Get progress error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Stream processing progress as Server-Sent Events
+ * Sends a `progress` event whenever the progress changes and an `end` event
+ * once the document reaches a terminal status.
+ */
+exports.streamProcessingProgress = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const document = await documentRepository.getDocumentById(id, userId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering
+    });
+
+    let lastPayload = null;
+    let timer = null;
+    let closed = false;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(timer);
+      res.end();
+    };
+
+    const push = (doc) => {
+      const progress = formatProgress(doc);
+      const payload = JSON.stringify(progress);
+
+      if (payload !== lastPayload) {
+        lastPayload = payload;
+        res.write(`event: progress\ndata: ${payload}\n\n`);
+      }
+
+      if (TERMINAL_STATUSES.includes(progress.status)) {
+        res.write(`event: end\ndata: ${payload}\n\n`);
+        close();
+      }
+    };
+
+    req.on('close', close);
+    push(document);
+
+    if (closed) return;
+
+    timer = setInterval(async () => {
+      try {
+        const current = await documentRepository.getDocumentById(id, userId);
+
+        if (closed) return;
+
+        if (!current) {
+          res.write(`event: error\ndata: ${JSON.stringify({ error: 'Document not found' })}\n\n`);
+          return close();
+        }
+
+        push(current);
+      } catch (error) {
+        console.error('Progress stream error:', error.message);
+        // Comment line keeps the connection alive; the next tick retries
+        if (!closed) res.write(`: retrying\n\n`);
+      }
+    }, PROGRESS_STREAM_INTERVAL_MS);
+
+  } catch (error) {
+    console.error('Stream progress error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: error.message });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * Reindex document (POST /documents/:id/reindex)
+ * Asks the worker to rebuild the chunks; the current chunks stay searchable until then.
+ */
+exports.reindexDocument = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const document = await documentRepository.getDocumentById(id, userId);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Seeded documents are visible to everyone but only reindexed by their owner
+    if (document.user_id !== userId) {
+      return res.status(403).json({ error: 'Only the owner can reindex this document' });
+    }
+
+    if (!process.env.RENDER_WORKER_URL) {
+      return res.status(503).json({ error: 'Worker is not configured' });
+    }
+
+    const url = `${process.env.RENDER_WORKER_URL}/documents/${id}/reindex`;
+    const body = JSON.stringify({});
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...signWorkerRequest('POST', url, body)
+      },
+      body
+    });
+
+    const result = await response.json();
+    res.status(response.status).json(result);
+
+  } catch (error) {
+    console.error('Reindex document error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,13 +1,18 @@
 const axios = require('axios');
+const { signWorkerRequest } = require('./middlewares/workerAuth');
 
 (async () => {
   try {
+    const url = `${process.env.RENDER_WORKER_URL || 'http://localhost:10000'}/poll-pending`;
+    const body = JSON.stringify({});
+
     const response = await axios.post(
-      `${process.env.RENDER_WORKER_URL || 'http://localhost:10000'}/poll-pending`,
-      {},
+      url,
+      body,
       {
         headers: {
-          'Authorization': `Bearer ${process.env.WORKER_SECRET}`
+          'Content-Type': 'application/json',
+          ...signWorkerRequest('POST', url, body)
         }
       }
     );
@@ -11,6 +11,19 @@ const SUPPORTED_TYPES = {
   'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { ext: '.docx', category: 'document' },
   'application/vnd.ms-excel': { ext: '.xls', category: 'spreadsheet' },
   'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { ext: '.xlsx', category: 'spreadsheet' },
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': { ext: '.pptx', category: 'presentation' },
+  'application/vnd.oasis.opendocument.text': { ext: '.odt', category: 'document' },
+  'application/vnd.oasis.opendocument.spreadsheet': { ext: '.ods', category: 'spreadsheet' },
+  'application/rtf': { ext: '.rtf', category: 'document' },
+  'text/rtf': { ext: '.rtf', category: 'document' },
+
+  // Email
+  'message/rfc822': { ext: '.eml', category: 'email' },
+  'application/vnd.ms-outlook': { ext: '.msg', category: 'email' },
+
+  // Archives (each supported file inside becomes a child document)
+  'application/zip': { ext: '.zip', category: 'archive' },
+  'application/x-zip-compressed': { ext: '.zip', category: 'archive' },
 
   // Images
   'image/png': { ext: '.png', category: 'image' },
@@ -19,7 +32,12 @@ const SUPPORTED_TYPES = {
   'image/gif': { ext: '.gif', category: 'image' },
 
   // Text
-  'text/plain': { ext: '.txt', category: 'text' }
+  'text/plain': { ext: '.txt', category: 'text' },
+  'text/html': { ext: '.html', category: 'text' },
+  'text/markdown': { ext: '.md', category: 'text' },
+  'text/x-markdown': { ext: '.md', category: 'text' },
+  'text/csv': { ext: '.csv', category: 'spreadsheet' },
+  'application/csv': { ext: '.csv', category: 'spreadsheet' }
 };
 
 // File filter - accept multiple document types
@@ -31,7 +49,7 @@ const fileFilter = (req, file, cb) => {
   } else {
     cb(
       new Error(
-        `File type not supported. Allowed types: PDF, Word (.doc, .docx), Excel (.xls, .xlsx), Images (.png, .jpg, .jpeg, .gif), Text (.txt)`
+        `File type not supported. Allowed types: PDF, Word (.doc, .docx), Excel (.xls, .xlsx), PowerPoint (.pptx), OpenDocument (.odt, .ods), RTF, HTML, Markdown (.md), CSV, Email (.eml, .msg), ZIP archives, Images (.png, .jpg, .jpeg, .gif), Text (.txt)`
       ),
       false
     );
@@ -58,9 +76,27 @@ const getFileExtension = (mimetype) => {
   return SUPPORTED_TYPES[mimetype]?.ext || '';
 };
 
+// Helper function to resolve the type of a file without a trusted MIME type
+// (email attachments, archive entries): the filename extension wins, then the MIME type
+const resolveFileType = (filename, mimetype) => {
+  const ext = (filename.match(/\.[^/.]+$/)?.[0] || '').toLowerCase();
+  const byExtension = Object.entries(SUPPORTED_TYPES).find(([, type]) => type.ext === ext);
+
+  if (byExtension) {
+    return { mimeType: byExtension[0], ext: byExtension[1].ext.replace('.', '') };
+  }
+
+  if (SUPPORTED_TYPES[mimetype]) {
+    return { mimeType: mimetype, ext: SUPPORTED_TYPES[mimetype].ext.replace('.', '') };
+  }
+
+  return null;
+};
+
 module.exports = {
   upload,
   getFileCategory,
   getFileExtension,
+  resolveFileType,
   SUPPORTED_TYPES
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+
+// Requests older (or further in the future) than this are rejected
+const MAX_SKEW_SECONDS = parseInt(process.env.WORKER_AUTH_MAX_SKEW_SECONDS, 10) || 300;
+
+// Temporary escape hatch while callers move from the static Bearer token
+const ALLOW_LEGACY_BEARER = process.env.WORKER_AUTH_ALLOW_LEGACY_BEARER === 'true';
+
+const HEADERS = {
+  timestamp: 'x-worker-timestamp',
+  nonce: 'x-worker-nonce',
+  signature: 'x-worker-signature'
+};
+
+// Nonces seen within the skew window (nonce → expiry in ms)
+const seenNonces = new Map();
+
+/**
+ * Active secrets, newest first
+ * WORKER_SECRETS is a comma-separated list; the first entry signs, all entries verify.
+ * During a rotation, prepend the new secret, deploy, then drop the old one.
+ * @returns {array} - Array of secrets
+ */
+const getSecrets = () => {
+  const secrets = (process.env.WORKER_SECRETS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  if (process.env.WORKER_SECRET && !secrets.includes(process.env.WORKER_SECRET)) {
+    secrets.push(process.env.WORKER_SECRET);
+  }
+
+  return secrets;
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Canonical string covered by the signature
+ * @param {object} parts - { method, path, body, timestamp, nonce }
+ * @returns {string}
+ */
+const buildCanonicalString = ({ method, path, body, timestamp, nonce }) => [
+  timestamp,
+  nonce,
+  method.toUpperCase(),
+  path,
+  sha256(body || '')
+].join('\n');
+
+const computeSignature = (secret, parts) => crypto
+  .createHmac('sha256', secret)
+  .update(buildCanonicalString(parts))
+  .digest('hex');
+
+/**
+ * Build signed headers for a request to a worker endpoint
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL (path and query are signed)
+ * @param {string} body - Raw request body, exactly as sent
+ * @returns {object} - Headers to add to the request
+ */
+const signWorkerRequest = (method, url, body = '') => {
+  const [secret] = getSecrets();
+
+  if (!secret) {
+    throw new Error('WORKER_SECRETS (or WORKER_SECRET) is not set');
+  }
+
+  const { pathname, search } = new URL(url);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const signature = computeSignature(secret, { method, path: `${pathname}${search}`, body, timestamp, nonce });
+
+  return {
+    [HEADERS.timestamp]: timestamp,
+    [HEADERS.nonce]: nonce,
+    [HEADERS.signature]: signature
+  };
+};
+
+// Constant-time comparison of two hex strings
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a, 'utf8');
+  const bufB = Buffer.from(b, 'utf8');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Drop expired nonces so the cache stays bounded by the request rate
+const pruneNonces = (now) => {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  }
+};
+
+/**
+ * Verify a signed worker request
+ * @param {object} req - Express request (needs req.rawBody)
+ * @returns {string|null} - Rejection reason, or null if valid
+ */
+const verifyWorkerRequest = (req) => {
+  const timestamp = req.headers[HEADERS.timestamp];
+  const nonce = req.headers[HEADERS.nonce];
+  const signature = req.headers[HEADERS.signature];
+
+  if (!timestamp || !nonce || !signature) {
+    return 'Missing signature headers';
+  }
+
+  const now = Date.now();
+  const age = Math.abs(Math.floor(now / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > MAX_SKEW_SECONDS) {
+    return 'Stale or invalid timestamp';
+  }
+
+  const parts = {
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody,
+    timestamp,
+    nonce
+  };
+
+  // Check every secret so the comparison count doesn't reveal which one matched
+  const valid = getSecrets()
+    .map(secret => safeEqual(computeSignature(secret, parts), signature))
+    .includes(true);
+
+  if (!valid) {
+    return 'Invalid signature';
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return 'Replayed request';
+  }
+  seenNonces.set(nonce, now + MAX_SKEW_SECONDS * 2 * 1000);
+
+  return null;
+};
+
+/**
+ * Express middleware for worker endpoints
+ * Requires express.json({ verify }) to keep the raw body on req.rawBody.
+ */
+const authenticateWorker = (req, res, next) => {
+  if (ALLOW_LEGACY_BEARER && !req.headers[HEADERS.signature]) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (token && getSecrets().some(secret => safeEqual(secret, token))) {
+      console.warn('⚠️ Accepted legacy Bearer token; switch the caller to signed requests');
+      return next();
+    }
+  }
+
+  const reason = verifyWorkerRequest(req);
+
+  if (reason) {
+    console.warn(`🚫 Worker auth rejected ${req.method} ${req.originalUrl}: ${reason}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+// express.json() verify hook that keeps the exact bytes for signature checks
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+module.exports = {
+  authenticateWorker,
+  signWorkerRequest,
+  verifyWorkerRequest,
+  captureRawBody
+};
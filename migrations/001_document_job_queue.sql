@@ -0,0 +1,16 @@
+-- Job queue columns for atomic claiming and lease-based processing
+-- A document is owned by exactly one worker while processing_status = 'processing'.
+-- Workers extend lease_expires_at with heartbeats; expired leases are handed back to 'pending'.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS worker_id TEXT,
+  ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_documents_pending
+  ON documents (uploaded_at)
+  WHERE processing_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_documents_lease_expiry
+  ON documents (lease_expires_at)
+  WHERE processing_status = 'processing';
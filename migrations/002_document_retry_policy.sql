@@ -0,0 +1,9 @@
+-- Retry bookkeeping for document processing
+-- Retryable failures go back to 'pending' with next_retry_at set (exponential backoff).
+-- Once attempts run out the document moves to the terminal 'dead_letter' status;
+-- permanent errors (bad file) go straight to 'failed'.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS attempt_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS error_history JSONB NOT NULL DEFAULT '[]'::jsonb;
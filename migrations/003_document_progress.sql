@@ -0,0 +1,9 @@
+-- Per-stage progress for document processing
+-- processing_stage: download | parse | chunk | embed | store | done
+-- progress_percent: overall progress across all stages (0-100)
+-- stage_timings: { "<stage>": { "startedAt", "completedAt", "durationMs", "completed", "total" } }
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS processing_stage TEXT,
+  ADD COLUMN IF NOT EXISTS progress_percent SMALLINT NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS stage_timings JSONB NOT NULL DEFAULT '{}'::jsonb;
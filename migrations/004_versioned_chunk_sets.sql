@@ -0,0 +1,46 @@
+-- Versioned chunk sets for atomic reindexing
+-- Each processing run writes its chunks under a new chunk_version. Readers only see
+-- the version referenced by documents.active_chunk_version, which is switched in the
+-- same UPDATE that marks the document completed. Older versions are deleted afterwards.
+
+ALTER TABLE document_chunks
+  ADD COLUMN IF NOT EXISTS chunk_version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS active_chunk_version INTEGER NOT NULL DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_version
+  ON document_chunks (document_id, chunk_version);
+
+-- Vector search restricted to the live chunk set of each document
+CREATE OR REPLACE FUNCTION search_similar_chunks(
+  query_embedding vector(1536),
+  document_ids UUID[],
+  result_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+  chunk_id UUID,
+  document_id UUID,
+  text TEXT,
+  page_number INTEGER,
+  similarity FLOAT,
+  language TEXT
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    c.id AS chunk_id,
+    c.document_id,
+    c.text,
+    c.page_number,
+    1 - (c.embedding <=> query_embedding) AS similarity,
+    c.language
+  FROM document_chunks c
+  JOIN documents d
+    ON d.id = c.document_id
+   AND d.active_chunk_version = c.chunk_version
+  WHERE c.document_id = ANY(document_ids)
+    AND c.embedding IS NOT NULL
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT result_limit;
+$$;
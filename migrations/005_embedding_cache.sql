@@ -0,0 +1,14 @@
+-- Persistent embedding cache keyed by normalized text hash and embedding deployment
+-- Chunks whose text was embedded before (re-uploads, unchanged SOP sections) reuse the stored vector.
+
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  content_hash TEXT NOT NULL,
+  model TEXT NOT NULL,
+  embedding vector(1536) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (content_hash, model)
+);
+
+-- Per-run processing statistics (chunk counts, embedding cache hit rate)
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS processing_stats JSONB NOT NULL DEFAULT '{}'::jsonb;
@@ -0,0 +1,7 @@
+-- SHA-256 fingerprint of the uploaded file, used to detect byte-identical re-uploads
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS file_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_documents_file_hash
+  ON documents (file_hash);
@@ -0,0 +1,4 @@
+-- Language hint from the uploader (form field or locale), used to pick the OCR language
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS language_hint TEXT;
@@ -0,0 +1,10 @@
+-- Child documents (email attachments, archive entries) link to the document they came from.
+-- Deleting the parent deletes its children.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS parent_document_id UUID REFERENCES documents(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE INDEX IF NOT EXISTS idx_documents_parent
+  ON documents (parent_document_id, file_hash)
+  WHERE parent_document_id IS NOT NULL;
@@ -0,0 +1,42 @@
+-- Per-chunk metadata, e.g. for spreadsheet table chunks:
+--   { "contentType": "table", "sheetName": "QC Log", "cellRange": "'QC Log'!A40:H60", "headerRow": 3 }
+
+ALTER TABLE document_chunks
+  ADD COLUMN IF NOT EXISTS metadata JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- The result columns change, so the function has to be dropped first
+DROP FUNCTION IF EXISTS search_similar_chunks(vector, UUID[], INTEGER);
+
+CREATE FUNCTION search_similar_chunks(
+  query_embedding vector(1536),
+  document_ids UUID[],
+  result_limit INTEGER DEFAULT 5
+)
+RETURNS TABLE (
+  chunk_id UUID,
+  document_id UUID,
+  text TEXT,
+  page_number INTEGER,
+  similarity FLOAT,
+  language TEXT,
+  metadata JSONB
+)
+LANGUAGE sql STABLE
+AS $$
+  SELECT
+    c.id AS chunk_id,
+    c.document_id,
+    c.text,
+    c.page_number,
+    1 - (c.embedding <=> query_embedding) AS similarity,
+    c.language,
+    c.metadata
+  FROM document_chunks c
+  JOIN documents d
+    ON d.id = c.document_id
+   AND d.active_chunk_version = c.chunk_version
+  WHERE c.document_id = ANY(document_ids)
+    AND c.embedding IS NOT NULL
+  ORDER BY c.embedding <=> query_embedding
+  LIMIT result_limit;
+$$;
@@ -0,0 +1,16 @@
+-- Document control fields found at parse time (document number, revision, effective date),
+-- so the library can be sorted and filtered by revision. File properties (title, author,
+-- dates) are kept in metadata.properties.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS doc_number TEXT,
+  ADD COLUMN IF NOT EXISTS revision TEXT,
+  ADD COLUMN IF NOT EXISTS effective_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_documents_doc_number
+  ON documents (doc_number, revision)
+  WHERE doc_number IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_documents_effective_date
+  ON documents (effective_date)
+  WHERE effective_date IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Where the language hint came from: 'document' (language/locale field sent with the upload)
+-- or 'locale' (browser Accept-Language). Only a 'document' hint skips OCR script detection.
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS language_hint_source TEXT;
@@ -0,0 +1,15 @@
+-- Sort key for document revisions: numeric revisions compare by value ("9" before "10",
+-- "2.1" before "2.10") and letter revisions by length, then alphabet ("Z" before "AA").
+
+ALTER TABLE documents
+  ADD COLUMN IF NOT EXISTS revision_sort_key TEXT GENERATED ALWAYS AS (
+    CASE
+      WHEN revision ~ '^[0-9]{1,12}(\.[0-9]{1,12})?$'
+        THEN lpad(split_part(revision, '.', 1), 12, '0') || '.' || lpad(split_part(revision, '.', 2), 12, '0')
+      ELSE lpad(upper(revision), 12, ' ')
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_documents_revision_sort_key
+  ON documents (revision_sort_key)
+  WHERE revision IS NOT NULL;
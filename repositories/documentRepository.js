@@ -1,5 +1,16 @@
 const { supabase } = require('../config/supabase');
 
+// Terminal statuses of documents that never got searchable chunks
+const UNSUCCESSFUL_STATUSES = ['failed', 'dead_letter'];
+
+// Sort options of the document library → column (revisions sort by value, not as text)
+const SORTABLE_DOCUMENT_COLUMNS = {
+  uploaded_at: 'uploaded_at',
+  effective_date: 'effective_date',
+  doc_number: 'doc_number',
+  revision: 'revision_sort_key'
+};
+
 /**
  * Create a new document record
  * @param {object} documentData - Document data
@@ -29,28 +40,308 @@ exports.createDocument = async (documentData) => {
 };
 // repositories/documentRepository.js
 
-exports.getPendingDocuments = async () => {
+exports.getPendingDocuments = async (limit = 10) => {
   const { data, error } = await supabase
     .from('documents')
     .select('*')
     .eq('processing_status',    'pending')
+    .or(`next_retry_at.is.null,next_retry_at.lte.${new Date().toISOString()}`)
     .order('uploaded_at', { ascending: true })
-    .limit(10);
+    .limit(limit);
 
   if (error) throw error;
   return data || [];
 };
+
+/**
+ * Atomically claim a pending document for a worker (pending → processing)
+ * The status check is part of the UPDATE, so only one worker can win the row.
+ * Documents waiting out a retry backoff (next_retry_at in the future) are not claimable.
+ * @param {string} documentId - Document UUID
+ * @param {string} workerId - Worker instance identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<object|null>} - Claimed document, or null if it was not pending
+ */
+exports.claimDocument = async (documentId, workerId, leaseMs) => {
+  try {
+    const now = Date.now();
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        processing_status: 'processing',
+        processing_error: null,
+        worker_id: workerId,
+        claimed_at: new Date(now).toISOString(),
+        lease_expires_at: new Date(now + leaseMs).toISOString(),
+        processing_stage: null,
+        progress_percent: 0,
+        stage_timings: {}
+      })
+      .eq('id', documentId)
+      .eq('processing_status', 'pending')
+      .or(`next_retry_at.is.null,next_retry_at.lte.${new Date(now).toISOString()}`)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Claim document error:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in claimDocument:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Put a finished document back in the queue to rebuild its chunks
+ * Its current chunk set stays live until the new one is complete.
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<object|null>} - Queued document, or null if it is still pending/processing
+ */
+exports.requestReindex = async (documentId) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        processing_status: 'pending',
+        processing_error: null,
+        attempt_count: 0,
+        next_retry_at: null,
+        error_history: []
+      })
+      .eq('id', documentId)
+      .in('processing_status', ['completed', 'failed', 'dead_letter'])
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Request reindex error:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in requestReindex:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Extend the lease of a document held by a worker
+ * @param {string} documentId - Document UUID
+ * @param {string} workerId - Worker instance identifier
+ * @param {number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<boolean>} - False if the worker no longer owns the document
+ */
+exports.renewLease = async (documentId, workerId, leaseMs) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .update({ lease_expires_at: new Date(Date.now() + leaseMs).toISOString() })
+      .eq('id', documentId)
+      .eq('worker_id', workerId)
+      .eq('processing_status', 'processing')
+      .select('id');
+
+    if (error) {
+      console.error('Renew lease error:', error);
+      throw error;
+    }
+
+    return (data || []).length > 0;
+  } catch (error) {
+    console.error('Error in renewLease:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Update a document while a worker still owns it (progress writes during processing)
+ * Filtered on worker_id like releaseDocument, so a worker whose lease was reclaimed
+ * cannot overwrite the progress of the new owner.
+ * @param {string} documentId - Document UUID
+ * @param {string} workerId - Worker instance identifier
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} - Updated document, or null if the lease was lost
+ */
+exports.updateClaimedDocument = async (documentId, workerId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .update(updates)
+      .eq('id', documentId)
+      .eq('worker_id', workerId)
+      .eq('processing_status', 'processing')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Update claimed document error:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateClaimedDocument:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Write the final state of a claimed document and release its lease
+ * Only applied while the worker still owns the document, so a worker whose
+ * lease was reclaimed cannot overwrite the new owner's progress.
+ * @param {string} documentId - Document UUID
+ * @param {string} workerId - Worker instance identifier
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} - Updated document, or null if the lease was lost
+ */
+exports.releaseDocument = async (documentId, workerId, updates) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        ...updates,
+        worker_id: null,
+        lease_expires_at: null
+      })
+      .eq('id', documentId)
+      .eq('worker_id', workerId)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Release document error:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in releaseDocument:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the documents a worker still owns (used on shutdown to hand them back)
+ * @param {string} workerId - Worker instance identifier
+ * @returns {Promise<array>} - Documents in 'processing' claimed by the worker
+ */
+exports.getWorkerDocuments = async (workerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('worker_id', workerId)
+      .eq('processing_status', 'processing');
+
+    if (error) {
+      console.error('Get worker documents error:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in getWorkerDocuments:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find documents whose lease expired (crashed, stalled or restarted worker)
+ * Rows left in 'processing' without a lease (claimed before leases existed) are included.
+ * @returns {Promise<array>} - Documents to reclaim
+ */
+exports.findExpiredLeases = async () => {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('processing_status', 'processing')
+      .or(`lease_expires_at.lt.${now},lease_expires_at.is.null`);
+
+    if (error) {
+      console.error('Find expired leases error:', error);
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error in findExpiredLeases:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Take a document with an expired lease away from its worker
+ * Only applied while the lease is still expired and no other poller has reclaimed the
+ * row in the meantime (attempt_count unchanged), so each expiry is counted once.
+ * @param {object} document - Document row from findExpiredLeases
+ * @param {object} updates - Fields to update (status, attempt bookkeeping)
+ * @returns {Promise<object|null>} - Reclaimed document, or null if the row changed
+ */
+exports.reclaimDocument = async (document, updates) => {
+  try {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('documents')
+      .update({
+        ...updates,
+        worker_id: null,
+        lease_expires_at: null
+      })
+      .eq('id', document.id)
+      .eq('processing_status', 'processing')
+      .eq('attempt_count', document.attempt_count || 0)
+      .or(`lease_expires_at.lt.${now},lease_expires_at.is.null`)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      console.error('Reclaim document error:', error);
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in reclaimDocument:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Get all documents for a user
  * @param {string} userId - User UUID
+ * @param {object} options - { docNumber, revision, sortBy, ascending } exact filters on the document
+ *   control fields, normalized like the stored values (upper case); sortBy is one of uploaded_at
+ *   (default), effective_date, doc_number, revision (numeric revisions by value)
  * @returns {Promise<array>} - Array of documents
  */
-exports.getAllDocuments = async (userId) => {
+exports.getAllDocuments = async (userId, options = {}) => {
   try {
-    const { data, error } = await supabase
+    const sortBy = SORTABLE_DOCUMENT_COLUMNS[options.sortBy] || 'uploaded_at';
+
+    let query = supabase
       .from('documents')
       .select('*')
-      .or(`user_id.eq.${userId},is_seeded.eq.true`)
+      .or(`user_id.eq.${userId},is_seeded.eq.true`);
+
+    if (typeof options.docNumber === 'string' && options.docNumber) {
+      query = query.eq('doc_number', options.docNumber.trim().toUpperCase());
+    }
+    if (typeof options.revision === 'string' && options.revision) {
+      query = query.eq('revision', options.revision.trim().toUpperCase());
+    }
+
+    const { data, error } = await query
+      .order(sortBy, { ascending: Boolean(options.ascending), nullsFirst: false })
       .order('uploaded_at', { ascending: false });
 
     if (error) {
@@ -96,6 +387,103 @@ exports.getDocumentById = async (documentId, userId) => {
   }
 };
 
+/**
+ * Find an existing copy of a file by its fingerprint
+ * Copies whose processing ended in 'failed' or 'dead_letter' don't count, so a file
+ * can be uploaded again after an unsuccessful attempt.
+ * @param {string} fileHash - SHA-256 of the file contents
+ * @param {string} userId - User UUID (own uploads and seeded documents are checked)
+ * @returns {Promise<object|null>} - Oldest matching document, or null
+ */
+exports.findDocumentByFileHash = async (fileHash, userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('file_hash', fileHash)
+      .or(`user_id.eq.${userId},is_seeded.eq.true`)
+      .not('processing_status', 'in', `(${UNSUCCESSFUL_STATUSES.join(',')})`)
+      .order('uploaded_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      console.error('Find document by hash error:', error);
+      throw error;
+    }
+
+    return (data && data[0]) || null;
+  } catch (error) {
+    console.error('Error in findDocumentByFileHash:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Find a child document of a parent by file fingerprint and source path
+ * Lets a retried parent reuse the children it created on an earlier attempt.
+ * @param {string} parentDocumentId - Parent document UUID
+ * @param {string} fileHash - SHA-256 of the child file
+ * @param {string} sourcePath - Attachment name or in-archive path
+ * @returns {Promise<object|null>} - Child document, or null
+ */
+exports.findChildDocumentByHash = async (parentDocumentId, fileHash, sourcePath) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('parent_document_id', parentDocumentId)
+      .eq('file_hash', fileHash)
+      .eq('metadata->>sourcePath', sourcePath)
+      .limit(1);
+
+    if (error) {
+      console.error('Find child document error:', error);
+      throw error;
+    }
+
+    return (data && data[0]) || null;
+  } catch (error) {
+    console.error('Error in findChildDocumentByHash:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the child documents of a document (email attachments, archive entries)
+ * @param {string} parentDocumentId - Parent document UUID
+ * @param {object} options - { recursive } also include children of children
+ * @returns {Promise<array>} - Child documents, oldest first
+ */
+exports.getChildDocuments = async (parentDocumentId, options = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('documents')
+      .select('*')
+      .eq('parent_document_id', parentDocumentId)
+      .order('uploaded_at', { ascending: true });
+
+    if (error) {
+      console.error('Get child documents error:', error);
+      throw error;
+    }
+
+    const children = data || [];
+
+    if (!options.recursive) {
+      return children;
+    }
+
+    const descendants = [];
+    for (const child of children) {
+      descendants.push(child, ...(await exports.getChildDocuments(child.id, options)));
+    }
+    return descendants;
+  } catch (error) {
+    console.error('Error in getChildDocuments:', error.message);
+    throw error;
+  }
+};
+
 /**
  * Update document
  * @param {string} documentId - Document UUID
@@ -178,7 +566,7 @@ exports.findDocumentsByIds = async (documentIds, userId) => {
 /**
  * Update processing status
  * @param {string} documentId - Document UUID
- * @param {string} status - Status: 'pending', 'processing', 'completed', 'failed'
+ * @param {string} status - Status: 'pending', 'processing', 'completed', 'failed', 'dead_letter'
  * @param {string} error - Error message (if failed)
  * @returns {Promise<object>} - Updated document
  */
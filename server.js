@@ -1,48 +1,137 @@
 const express = require('express');
-const axios = require('axios');
 
 // Import your existing services
 const documentRepository = require('./repositories/documentRepository');
-const { parseFile, chunkText } = require('./services/fileparsingService');
-const { storeChunksWithEmbeddings } = require('./services/embeddingService');
+const { parseFile, downloadFile } = require('./services/fileparsingService');
+const { chunkTextByTokens } = require('./services/chunkingService');
+const {
+  storeChunksWithEmbeddings,
+  deleteChunkSet,
+  deleteInactiveChunkSets
+} = require('./services/embeddingService');
 const { detectLanguage } = require('./services/languageService');
+const jobQueue = require('./services/jobQueueService');
+const { buildFailureUpdate } = require('./services/retryService');
+const { createProgressTracker } = require('./services/progressService');
+const { sendProcessingCallback } = require('./services/callbackService');
+const { documentPool, getPoolStats } = require('./services/workerPoolService');
+const { createChildDocuments } = require('./services/childDocumentService');
+const { removeRepeatedHeadersFooters, PAGED_FILE_TYPES } = require('./services/boilerplateService');
+
+const { authenticateWorker, captureRawBody } = require('./middlewares/workerAuth');
 
 const app = express();
-app.use(express.json());
+// Keep the raw body for request signature checks
+app.use(express.json({ verify: captureRawBody }));
+
+// Time to let in-flight documents finish after SIGTERM/SIGINT
+const SHUTDOWN_GRACE_MS = parseInt(process.env.SHUTDOWN_GRACE_MS, 10) || 25000;
+
+// Set once shutdown starts; no new work is accepted while draining
+let draining = false;
 
-// Auth middleware
-const authenticateWorker = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (authHeader !== `Bearer ${process.env.WORKER_SECRET}`) {
-    return res.status(401).json({ error: 'Unauthorized' });
+// Reject new work while the worker is shutting down
+const rejectWhileDraining = (req, res, next) => {
+  if (draining) {
+    return res.status(503).json({ error: 'Worker is shutting down' });
   }
   next();
 };
 
 // Webhook endpoint (triggered by Vercel)
-app.post('/process-document', authenticateWorker, async (req, res) => {
-  const { documentId, cloudinaryUrl, mimeType, fileType } = req.body;
+app.post('/process-document', authenticateWorker, rejectWhileDraining, async (req, res) => {
+  const { documentId } = req.body;
 
   console.log(`📥 Received processing request for document ${documentId}`);
 
-  // Respond immediately
-  res.json({
-    status: 'processing started',
-    documentId,
-    message: 'Worker is processing your document'
-  });
+  try {
+    // Claim before processing so the poller can't pick up the same document
+    const document = await jobQueue.claimJob(documentId);
+
+    if (!document) {
+      return res.status(409).json({
+        status: 'not claimed',
+        documentId,
+        message: 'Document is not pending or is already being processed'
+      });
+    }
+
+    // Respond immediately
+    res.json({
+      status: 'processing started',
+      documentId,
+      message: 'Worker is processing your document'
+    });
+
+    // Process in background (no timeout!)
+    enqueueDocument(document)
+      .catch(err => console.error('Background processing error:', err));
+  } catch (error) {
+    console.error('Claim error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reindex endpoint: rebuild the chunks of a finished document
+// The current chunk set keeps serving searches until the new one is complete.
+app.post('/documents/:id/reindex', authenticateWorker, rejectWhileDraining, async (req, res) => {
+  const documentId = req.params.id;
+
+  console.log(`🔁 Received reindex request for document ${documentId}`);
+
+  try {
+    const queued = await documentRepository.requestReindex(documentId);
 
-  // Process in background (no timeout!)
-  processDocument(documentId, cloudinaryUrl, mimeType, fileType)
-    .catch(err => console.error('Background processing error:', err));
+    if (!queued) {
+      return res.status(409).json({
+        status: 'not queued',
+        documentId,
+        message: 'Document not found or is already pending/processing'
+      });
+    }
+
+    // Claim right away; if another worker wins the claim it reindexes instead
+    const document = await jobQueue.claimJob(documentId);
+
+    res.status(202).json({
+      status: document ? 'reindex started' : 'reindex queued',
+      documentId,
+      chunkVersion: (queued.active_chunk_version || 0) + 1
+    });
+
+    if (document) {
+      enqueueDocument(document)
+        .catch(err => console.error('Background reindex error:', err));
+    }
+  } catch (error) {
+    console.error('Reindex error:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Polling endpoint (backup method)
-app.post('/poll-pending', authenticateWorker, async (req, res) => {
+app.post('/poll-pending', authenticateWorker, rejectWhileDraining, async (req, res) => {
   try {
     console.log('🔍 Polling for pending documents...');
 
-    const pendingDocs = await documentRepository.getPendingDocuments();
+    // Hand back documents abandoned by crashed or restarted workers
+    const reclaimed = await jobQueue.reclaimExpiredJobs();
+
+    // Documents that kept losing their worker have run out of attempts
+    reclaimed
+      .filter(doc => doc.processing_status === 'dead_letter')
+      .forEach(doc => {
+        sendProcessingCallback({ documentId: doc.id, status: doc.processing_status, error: doc.processing_error })
+          .catch(err => console.error('Callback error:', err.message));
+      });
+
+    // Only claim what this instance can start now; the rest stays for other workers
+    const freeSlots = Math.min(10, documentPool.availableSlots());
+    if (freeSlots === 0) {
+      return res.json({ message: 'Worker pool is full', count: 0, pool: getPoolStats() });
+    }
+
+    const pendingDocs = await jobQueue.claimPendingJobs(freeSlots);
 
     if (pendingDocs.length === 0) {
       return res.json({ message: 'No pending documents', count: 0 });
@@ -58,7 +147,7 @@ app.post('/poll-pending', authenticateWorker, async (req, res) => {
 
     // Process each document
     for (const doc of pendingDocs) {
-      processDocument(doc.id, doc.file_path, doc.mime_type, doc.file_type)
+      enqueueDocument(doc)
         .catch(err => console.error(`Error processing ${doc.id}:`, err));
     }
   } catch (error) {
@@ -67,27 +156,86 @@ app.post('/poll-pending', authenticateWorker, async (req, res) => {
   }
 });
 
+// Documents whose processing has started on this instance (an abandoned run counts as an attempt)
+const runningDocuments = new Set();
+
+// Queue a claimed document on the worker pool
+// The heartbeat starts right away so the lease doesn't expire while the job waits for a slot
+const enqueueDocument = (document) => {
+  const heartbeat = jobQueue.startHeartbeat(document.id);
+
+  return documentPool.run(() => {
+    runningDocuments.add(document.id);
+    return processDocument(document, heartbeat)
+      .finally(() => runningDocuments.delete(document.id));
+  })
+    .finally(() => heartbeat.stop());
+};
+
+// Store extracted files (email attachments, archive entries) as child documents and start processing them
+// Returns the parent's metadata entries linking each file to its child document
+const ingestChildFiles = async (parent, files) => {
+  const { created, existing, skipped } = await createChildDocuments(parent, files);
+
+  // Children left pending by an earlier attempt are claimed too; claimJob skips the rest
+  const toProcess = [...created, ...existing.filter(child => child.processing_status === 'pending')];
+
+  if (!draining) {
+    for (const child of toProcess) {
+      const claimed = await jobQueue.claimJob(child.id);
+      if (claimed) {
+        enqueueDocument(claimed)
+          .catch(err => console.error(`Error processing child document ${child.id}:`, err));
+      }
+    }
+  }
+
+  return [
+    ...[...created, ...existing].map(child => ({
+      filename: child.filename,
+      sourcePath: child.metadata?.sourcePath || child.filename,
+      documentId: child.id
+    })),
+    ...skipped.map(({ filename, sourcePath, reason }) => ({ filename, sourcePath, skippedReason: reason }))
+  ];
+};
+
 // Main processing function (your existing logic)
-const processDocument = async (documentId, cloudinaryUrl, mimeType, fileType) => {
+// Expects the document row as returned by the claim (owned by this worker)
+const processDocument = async (document, heartbeat) => {
+  const {
+    id: documentId,
+    file_path: cloudinaryUrl,
+    mime_type: mimeType,
+    file_type: fileType
+  } = document;
+  const progress = createProgressTracker(documentId, jobQueue.WORKER_ID);
+
+  // Every run writes a new chunk set next to the live one; readers switch on completion
+  const chunkVersion = (document.active_chunk_version || 0) + 1;
+
   try {
-    console.log(`🚀 Starting processing for document ${documentId}`);
+    console.log(`🚀 Starting processing for document ${documentId} (chunk set v${chunkVersion})`);
     console.log(`📄 File: ${fileType}, MIME: ${mimeType}`);
 
-    // Update status
-    await documentRepository.updateProcessingStatus(documentId, 'processing');
-
     // Download file from Cloudinary
+    progress.startStage('download');
     console.log('⬇️ Downloading file from Cloudinary...');
-    const response = await axios.get(cloudinaryUrl, {
-      responseType: 'arraybuffer',
+    const buffer = await downloadFile(cloudinaryUrl, {
       timeout: 60000 // 60 second timeout for download
     });
-    const buffer = Buffer.from(response.data);
     console.log(`✅ Downloaded ${buffer.length} bytes`);
 
     // Parse file
+    progress.startStage('parse');
     console.log('📖 Parsing file...');
-    const { text, pages, totalPages } = await parseFile(buffer, mimeType, fileType);
+    const parsed = await parseFile(buffer, mimeType, fileType, {
+      language: document.language_hint,
+      languageSource: document.language_hint_source,
+      // An archive found inside another archive is one level deeper
+      archiveDepth: (document.metadata?.archiveDepth || 0) + 1
+    });
+    const { text, pages, totalPages } = parsed;
 
     if (!pages || pages.length === 0) {
       throw new Error('No pages extracted from document');
@@ -95,11 +243,30 @@ const processDocument = async (documentId, cloudinaryUrl, mimeType, fileType) =>
 
     console.log(`✅ File parsed: ${totalPages} pages, ${text.length} characters`);
 
+    // Parser-provided metadata (file properties, control fields, text encoding, email headers,
+    // archive summary), plus links to child documents
+    const metadata = { ...(document.metadata || {}), ...(parsed.metadata || {}) };
+
+    if (parsed.attachments && parsed.attachments.length > 0) {
+      console.log(`📎 Ingesting ${parsed.attachments.length} files as child documents...`);
+      metadata.attachments = await ingestChildFiles(document, parsed.attachments);
+    }
+
+    // Running headers/footers ("Doc No. QP-07 Rev C - Page 3 of 40") would land in every chunk;
+    // strip them from the pages and keep them once on the document
+    if (PAGED_FILE_TYPES.includes(fileType.toLowerCase())) {
+      const boilerplate = removeRepeatedHeadersFooters(pages);
+      if (boilerplate) {
+        metadata.boilerplate = boilerplate;
+      }
+    }
+
     // Detect language
     const language = detectLanguage(text);
     console.log('🌍 Detected language:', language);
 
     // Create chunks
+    progress.startStage('chunk');
     console.log('✂️ Creating chunks...');
     const allChunks = [];
 
@@ -109,11 +276,25 @@ const processDocument = async (documentId, cloudinaryUrl, mimeType, fileType) =>
         continue;
       }
 
-      const pageChunks = chunkText(page.text, 800, 100);
+      // Parsers may hand over structured chunks (spreadsheet tables) with their own metadata
+      if (page.chunks && page.chunks.length > 0) {
+        page.chunks.forEach(chunk => {
+          allChunks.push({
+            text: chunk.text,
+            pageNumber: page.pageNumber,
+            language: language,
+            metadata: chunk.metadata
+          });
+        });
+        continue;
+      }
+
+      // Sized in embedding-model tokens, cut at paragraph/sentence/word boundaries
+      const pageChunks = chunkTextByTokens(page.text);
 
-      pageChunks.forEach(chunkText => {
+      pageChunks.forEach(chunk => {
         allChunks.push({
-          text: chunkText,
+          text: chunk,
           pageNumber: page.pageNumber,
           language: language
         });
@@ -130,42 +311,97 @@ const processDocument = async (documentId, cloudinaryUrl, mimeType, fileType) =>
     console.log('🔮 Generating embeddings and storing chunks...');
     console.log(`⏱️ This may take several minutes for ${allChunks.length} chunks...`);
 
-    const chunkCount = await storeChunksWithEmbeddings(documentId, allChunks);
+    // Another worker owns the document now; don't store a second chunk set
+    if (heartbeat.isLost()) {
+      throw new Error('Lease lost before storing chunks');
+    }
+
+    // Clear leftovers of an earlier failed attempt at this version
+    await deleteChunkSet(documentId, chunkVersion);
+
+    progress.startStage('embed');
+    const embeddingStats = {};
+    const chunkCount = await storeChunksWithEmbeddings(documentId, allChunks, {
+      onProgress: progress.update,
+      chunkVersion,
+      stats: embeddingStats,
+      // Requeued or reclaimed while embedding: the new owner writes this chunk version
+      isCancelled: heartbeat.isLost
+    });
 
     if (chunkCount === 0) {
       throw new Error('Failed to store any chunks');
     }
 
-    // Update document status
-    await documentRepository.updateDocument(documentId, {
+    // Update document status, switch readers to the new chunk set and release the lease
+    const released = await jobQueue.releaseJob(documentId, {
+      ...(await progress.finish(true)),
+      active_chunk_version: chunkVersion,
+      metadata,
+      doc_number: metadata.control?.docNumber || null,
+      revision: metadata.control?.revision || null,
+      effective_date: metadata.control?.effectiveDate || null,
+      processing_stats: { chunkCount, ...embeddingStats },
       processing_status: 'completed',
       total_pages: totalPages,
-      processed_at: new Date().toISOString()
+      processed_at: new Date().toISOString(),
+      processing_error: null,
+      next_retry_at: null
     });
 
     console.log(`✅✅ Document ${documentId} processed successfully!`);
-    console.log(`📊 Final stats: ${chunkCount} chunks stored from ${totalPages} pages`);
+    console.log(`📊 Final stats: ${chunkCount} chunks stored from ${totalPages} pages, ` +
+      `embedding cache hit rate ${((embeddingStats.cacheHitRate || 0) * 100).toFixed(1)}%`);
+
+    if (released) {
+      deleteInactiveChunkSets(documentId, chunkVersion)
+        .catch(err => console.error('Old chunk set cleanup failed:', err.message));
+
+      sendProcessingCallback({ documentId, status: 'completed', totalPages, chunkCount })
+        .catch(err => console.error('Callback error:', err.message));
+    }
 
   } catch (error) {
     console.error(`❌❌ Processing failed for document ${documentId}:`);
     console.error('Error message:', error.message);
     console.error('Stack trace:', error.stack);
 
-    // Update status to failed
-    await documentRepository.updateProcessingStatus(
-      documentId,
-      'failed',
-      error.message
-    );
+    // Schedule a retry, or mark failed / dead_letter, and release the lease
+    const failureUpdate = {
+      ...(await progress.finish(false)),
+      ...buildFailureUpdate(document, error)
+    };
+    console.error(`🔁 Attempt ${failureUpdate.attempt_count} → ${failureUpdate.processing_status}` +
+      (failureUpdate.next_retry_at ? ` (next retry at ${failureUpdate.next_retry_at})` : ''));
+
+    const released = await jobQueue.releaseJob(documentId, failureUpdate)
+      .catch(err => console.error('Failed to record failure:', err.message));
+
+    // The previous chunk set stays live; drop the partial new one
+    if (released) {
+      deleteChunkSet(documentId, chunkVersion)
+        .catch(err => console.error('Partial chunk set cleanup failed:', err.message));
+    }
+
+    // Retries are still pending; only report once processing has ended
+    if (released && failureUpdate.processing_status !== 'pending') {
+      sendProcessingCallback({
+        documentId,
+        status: failureUpdate.processing_status,
+        error: error.message
+      }).catch(err => console.error('Callback error:', err.message));
+    }
   }
 };
 
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
+  // 503 while draining so the load balancer stops routing here
+  res.status(draining ? 503 : 200).json({
+    status: draining ? 'draining' : 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    pool: getPoolStats()
   });
 });
 
@@ -177,13 +413,48 @@ app.get('/', (req, res) => {
     endpoints: {
       webhook: 'POST /process-document',
       polling: 'POST /poll-pending',
+      reindex: 'POST /documents/:id/reindex',
       health: 'GET /health'
     }
   });
 });
 
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Worker server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+});
+
+// Graceful shutdown: drain in-flight documents, hand the rest back to the queue
+const shutdown = async (signal) => {
+  if (draining) {
+    console.warn(`${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+
+  draining = true;
+  console.log(`🛑 ${signal} received, draining (up to ${SHUTDOWN_GRACE_MS}ms)...`);
+
+  // Queued documents won't start; their leases are released below
+  const dropped = documentPool.close();
+  if (dropped > 0) {
+    console.log(`Dropped ${dropped} queued documents`);
+  }
+
+  const drained = await documentPool.waitForIdle(SHUTDOWN_GRACE_MS);
+  console.log(drained ? '✅ In-flight documents finished' : '⚠️ Grace period over, abandoning in-flight documents');
+
+  try {
+    // Unfinished documents go back to 'pending'; late results are discarded by the lease check
+    await jobQueue.requeueOwnJobs([...runningDocuments]);
+  } catch (error) {
+    console.error('Failed to requeue documents, leases will expire instead:', error.message);
+  }
+
+  server.close(() => process.exit(0));
+  // Don't let keep-alive connections hold the process open
+  setTimeout(() => process.exit(0), 2000).unref();
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
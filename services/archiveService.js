@@ -0,0 +1,124 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { createPermanentError } = require('./retryService');
+
+// Zip-bomb limits: entries, total uncompressed bytes, archives nested inside archives
+// (all extracted files are held in memory until they are stored as child documents)
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES, 10) || 500;
+const ARCHIVE_MAX_TOTAL_BYTES = parseInt(process.env.ARCHIVE_MAX_TOTAL_BYTES, 10) || 100 * 1024 * 1024;
+const ARCHIVE_MAX_DEPTH = parseInt(process.env.ARCHIVE_MAX_DEPTH, 10) || 3;
+
+// Entries larger than a child document may be are not decompressed past this size
+const ARCHIVE_MAX_ENTRY_BYTES = parseInt(process.env.MAX_CHILD_FILE_BYTES, 10) || 20 * 1024 * 1024;
+
+// OS clutter that is never evidence
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$|\._)/i;
+
+/**
+ * Decompress one entry, counting real bytes (declared sizes in the archive can lie)
+ * Decompression stops as soon as the entry exceeds the per-entry cap, so an oversized
+ * file is never held in memory.
+ * @param {object} entry - JSZip entry
+ * @param {number} budget - Bytes still allowed for the whole archive
+ * @returns {Promise<Buffer|null>} - Entry contents, or null if the entry exceeds ARCHIVE_MAX_ENTRY_BYTES
+ * @throws {Error} - ARCHIVE_TOO_LARGE once the budget is exceeded
+ */
+const readEntry = (entry, budget) => {
+  return new Promise((resolve, reject) => {
+    const stream = entry.nodeStream('nodebuffer');
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > ARCHIVE_MAX_ENTRY_BYTES) {
+        stream.destroy();
+        resolve(null);
+        return;
+      }
+      if (size > budget) {
+        stream.destroy();
+        reject(createPermanentError(
+          'ARCHIVE_TOO_LARGE',
+          `Archive expands to more than ${ARCHIVE_MAX_TOTAL_BYTES} bytes`
+        ));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('error', reject);
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+/**
+ * Extract the files of a ZIP archive within the zip-bomb limits
+ * Directories and OS clutter (__MACOSX, .DS_Store, Thumbs.db) are left out. Files over
+ * ARCHIVE_MAX_ENTRY_BYTES are listed with `content: null` and a `skippedReason`.
+ * @param {Buffer} buffer - ZIP file buffer
+ * @param {object} options - { depth } nesting level of this archive (1 = uploaded directly)
+ * @returns {Promise<array>} - [{ path, filename, content, skippedReason? }] in archive order
+ * @throws {Error} - ARCHIVE_TOO_DEEP / ARCHIVE_TOO_MANY_FILES / ARCHIVE_TOO_LARGE / ARCHIVE_INVALID (not retryable)
+ */
+const extractArchive = async (buffer, options = {}) => {
+  const depth = options.depth || 1;
+
+  if (depth > ARCHIVE_MAX_DEPTH) {
+    throw createPermanentError('ARCHIVE_TOO_DEEP', `Archives nested more than ${ARCHIVE_MAX_DEPTH} levels deep`);
+  }
+
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    // Corrupt, encrypted or unsupported (e.g. ZIP64 edge cases) archives won't load on retry either
+    throw createPermanentError('ARCHIVE_INVALID', `Could not open archive: ${error.message}`);
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+
+  if (entries.length > ARCHIVE_MAX_ENTRIES) {
+    throw createPermanentError(
+      'ARCHIVE_TOO_MANY_FILES',
+      `Archive has ${entries.length} files, the limit is ${ARCHIVE_MAX_ENTRIES}`
+    );
+  }
+
+  const files = [];
+  let totalBytes = 0;
+
+  for (const entry of entries) {
+    // Relative, normalized path; '..' segments can't climb above the archive root
+    const entryPath = path.posix.normalize(`/${entry.name}`).slice(1);
+
+    if (IGNORED_ENTRY_PATTERN.test(entryPath)) {
+      continue;
+    }
+
+    const content = await readEntry(entry, ARCHIVE_MAX_TOTAL_BYTES - totalBytes);
+    const file = {
+      path: entryPath,
+      filename: path.posix.basename(entryPath),
+      content
+    };
+
+    if (content) {
+      totalBytes += content.length;
+    } else {
+      file.skippedReason = `larger than ${ARCHIVE_MAX_ENTRY_BYTES} bytes`;
+    }
+
+    files.push(file);
+  }
+
+  console.log(`🗜️ Archive extracted: ${files.length} files, ${totalBytes} bytes (depth ${depth})`);
+  return files;
+};
+
+module.exports = {
+  extractArchive,
+  ARCHIVE_MAX_ENTRIES,
+  ARCHIVE_MAX_TOTAL_BYTES,
+  ARCHIVE_MAX_ENTRY_BYTES,
+  ARCHIVE_MAX_DEPTH
+};
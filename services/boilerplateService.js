@@ -0,0 +1,160 @@
+// File types whose pages are real pages with running headers and footers
+// (pseudo-pages of Word or text files are cut by length and have none)
+const PAGED_FILE_TYPES = ['pdf', 'pptx'];
+
+// A line is boilerplate when it repeats on at least this share of the pages (and on 3+ pages)
+const BOILERPLATE_PAGE_RATIO = parseFloat(process.env.BOILERPLATE_PAGE_RATIO) || 0.5;
+const BOILERPLATE_MIN_PAGES = 3;
+
+// Lines at the top and bottom of a page that can be header or footer
+const EDGE_LINES = 3;
+
+// Pages with fewer lines have no header or footer (a title slide is all body)
+const MIN_PAGE_LINES = 4;
+
+// Lines up to this length are page furniture ("Page 3 of 40", "QP-07 Rev 2"); all their numbers are wildcards
+const SHORT_LINE_CHARS = 40;
+
+// Page numbers inside longer lines: "Page 3", "page 3 of 40", "3 / 40"
+const PAGE_NUMBER_PATTERN = /\bpage\s*\d+(?:\s*(?:of|\/)\s*\d+)?|\b\d+\s*(?:of|\/)\s*\d+\s*$/gi;
+
+/**
+ * Comparison key of a line
+ * Numbers are wildcards on short lines, so "Page 3 of 40" matches "Page 4 of 40"; on longer
+ * lines only page numbers are, so "Torque to 40 Nm in step 3." stays distinct.
+ * @param {string} line - Line text
+ * @returns {string} - Normalized line
+ */
+const normalizeLine = (line) => {
+  const text = line.replace(/\s+/g, ' ').trim().toLowerCase();
+
+  if (text.length <= SHORT_LINE_CHARS) {
+    return text.replace(/\d+/g, '#');
+  }
+  return text.replace(PAGE_NUMBER_PATTERN, match => match.replace(/\d+/g, '#'));
+};
+
+/**
+ * Lines at the top and bottom of a page
+ * PDF pages order their lines by position (content-stream order need not be reading
+ * order); pages without positions use text order. Each edge gets at most a quarter
+ * of the lines, so body text is not counted as header or footer.
+ * @param {object} page - Parsed page: { text, lines: [{ text, y }] (optional) }
+ * @returns {object} - { top, bottom } arrays of line texts
+ */
+const pageEdges = (page) => {
+  const lines = page.lines
+    ? [...page.lines].sort((a, b) => b.y - a.y).map(line => line.text)
+    : page.text.split('\n');
+  const texts = lines.filter(line => line.trim());
+
+  if (texts.length < MIN_PAGE_LINES) {
+    return { top: [], bottom: [] };
+  }
+
+  const size = Math.min(EDGE_LINES, Math.floor(texts.length / 4));
+
+  return { top: texts.slice(0, size), bottom: texts.slice(texts.length - size) };
+};
+
+/**
+ * Find the lines that repeat at one edge of the pages
+ * @param {array} edgeLines - Lines at that edge of each page
+ * @returns {Map} - Normalized line → first original text
+ */
+const findRepeatedLines = (edgeLines) => {
+  const counts = new Map();
+
+  for (const lines of edgeLines) {
+    const seen = new Set();
+
+    for (const line of lines) {
+      const key = normalizeLine(line);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      const entry = counts.get(key) || { text: line.trim(), count: 0 };
+      entry.count++;
+      counts.set(key, entry);
+    }
+  }
+
+  const threshold = Math.max(BOILERPLATE_MIN_PAGES, Math.ceil(edgeLines.length * BOILERPLATE_PAGE_RATIO));
+
+  return new Map(
+    [...counts.entries()]
+      .filter(([, entry]) => entry.count >= threshold)
+      .map(([key, entry]) => [key, entry.text])
+  );
+};
+
+/**
+ * Strip running headers and footers (lines repeated at the top or bottom of most pages)
+ * Pages are updated in place, including ready-made text chunks. The removed lines are
+ * returned once so they can be kept as document metadata.
+ * @param {array} pages - Parsed pages
+ * @returns {object|null} - { headers, footers, pagesCleaned }, or null if nothing was removed
+ */
+const removeRepeatedHeadersFooters = (pages) => {
+  const textPages = pages.filter(page => page.text && page.text.trim());
+
+  if (textPages.length < BOILERPLATE_MIN_PAGES) {
+    return null;
+  }
+
+  const edges = textPages.map(pageEdges);
+  const headers = findRepeatedLines(edges.map(edge => edge.top));
+  const footers = findRepeatedLines(edges.map(edge => edge.bottom));
+
+  if (headers.size === 0 && footers.size === 0) {
+    return null;
+  }
+
+  let pagesCleaned = 0;
+
+  textPages.forEach((page, pageIndex) => {
+    const { top, bottom } = edges[pageIndex];
+    const removed = new Set([
+      ...top.filter(line => headers.has(normalizeLine(line))),
+      ...bottom.filter(line => footers.has(normalizeLine(line)))
+    ].map(line => line.trim()));
+
+    if (removed.size === 0) {
+      return;
+    }
+
+    const keep = line => !removed.has(line.trim());
+
+    page.text = page.text.split('\n').filter(keep).join('\n').trim();
+    page.isBlank = page.text.length === 0;
+
+    if (page.lines) {
+      page.lines = page.lines.filter(line => keep(line.text));
+    }
+
+    if (page.chunks) {
+      page.chunks = page.chunks
+        .map(chunk => chunk.metadata?.contentType === 'table' ? chunk : {
+          ...chunk,
+          text: chunk.text.split('\n').filter(keep).join('\n').trim()
+        })
+        .filter(chunk => chunk.text.length > 0);
+    }
+
+    pagesCleaned++;
+  });
+
+  console.log(`🧹 Removed running headers/footers from ${pagesCleaned} pages ` +
+    `(${headers.size} header lines, ${footers.size} footer lines)`);
+
+  return {
+    headers: [...headers.values()],
+    footers: [...footers.values()],
+    pagesCleaned
+  };
+};
+
+module.exports = {
+  removeRepeatedHeadersFooters,
+  PAGED_FILE_TYPES
+};
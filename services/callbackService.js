@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { isRetryableError } = require('./retryService');
+
+// Where to report processing results; callbacks are disabled when unset
+const CALLBACK_URL = process.env.COMPLETION_CALLBACK_URL;
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET || process.env.WORKER_SECRET;
+
+const MAX_ATTEMPTS = parseInt(process.env.CALLBACK_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = parseInt(process.env.CALLBACK_RETRY_BASE_MS, 10) || 1000;
+const TIMEOUT_MS = 10000;
+
+const SIGNATURE_HEADER = 'x-worker-signature';
+const TIMESTAMP_HEADER = 'x-worker-timestamp';
+
+/**
+ * Sign a callback body
+ * The signature covers `${timestamp}.${body}` so a captured payload can't be
+ * re-sent with a fresh timestamp.
+ * @param {string} body - Raw JSON body
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} secret - Shared secret
+ * @returns {string} - `sha256=<hex digest>`
+ */
+const signPayload = (body, timestamp, secret = CALLBACK_SECRET) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `sha256=${digest}`;
+};
+
+/**
+ * Verify a received callback (for the receiving application)
+ * @param {string} body - Raw request body, exactly as received
+ * @param {object} headers - Request headers (lower-case names)
+ * @param {string} secret - Shared secret
+ * @param {number} toleranceSeconds - Maximum accepted clock skew / age
+ * @returns {boolean} - True if the signature is valid and fresh
+ */
+const verifySignature = (body, headers, secret = CALLBACK_SECRET, toleranceSeconds = 300) => {
+  const timestamp = headers[TIMESTAMP_HEADER];
+  const signature = headers[SIGNATURE_HEADER];
+
+  if (!timestamp || !signature) {
+    return false;
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+  if (!Number.isFinite(age) || age > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const received = Buffer.from(signature);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * POST a signed callback, retrying transient failures with exponential backoff
+ * @param {string} url - Receiver URL
+ * @param {object} payload - Callback payload
+ * @returns {Promise<boolean>} - True once the receiver accepted the callback
+ */
+const deliverCallback = async (url, payload) => {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    // Re-sign every attempt so retries carry a fresh timestamp
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    try {
+      await axios.post(url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signPayload(body, timestamp)
+        },
+        timeout: TIMEOUT_MS
+      });
+
+      console.log(`📣 Callback delivered for document ${payload.documentId} (attempt ${attempt})`);
+      return true;
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      console.error(`Callback attempt ${attempt}/${MAX_ATTEMPTS} failed for document ${payload.documentId}:`, error.message);
+
+      if (!retryable || attempt === MAX_ATTEMPTS) {
+        break;
+      }
+
+      const delay = BASE_DELAY_MS * 2 ** (attempt - 1);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  console.error(`❌ Giving up on callback for document ${payload.documentId}`);
+  return false;
+};
+
+/**
+ * Notify the calling application that processing ended
+ * @param {object} result - { documentId, status, totalPages, chunkCount, error }
+ * @returns {Promise<boolean>} - False if callbacks are disabled or delivery failed
+ */
+const sendProcessingCallback = async ({ documentId, status, totalPages = null, chunkCount = null, error = null }) => {
+  if (!CALLBACK_URL) {
+    return false;
+  }
+
+  if (!CALLBACK_SECRET) {
+    console.warn('⚠️ CALLBACK_SECRET not set. Completion callback skipped.');
+    return false;
+  }
+
+  return deliverCallback(CALLBACK_URL, {
+    event: status === 'completed' ? 'document.completed' : 'document.failed',
+    documentId,
+    status,
+    totalPages,
+    chunkCount,
+    error,
+    sentAt: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  sendProcessingCallback,
+  deliverCallback,
+  signPayload,
+  verifySignature,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
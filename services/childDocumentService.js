@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const documentRepository = require('../repositories/documentRepository');
+const { uploadFile } = require('./storageService');
+const { resolveFileType } = require('../middlewares/upload');
+
+// Same cap as direct uploads (archiveService stops decompressing entries at the same size)
+const MAX_CHILD_FILE_BYTES = parseInt(process.env.MAX_CHILD_FILE_BYTES, 10) || 20 * 1024 * 1024;
+
+/**
+ * Store files extracted from a document (email attachments, archive entries)
+ * as child documents linked through `parent_document_id`
+ * Files already stored for this parent (same path and SHA-256) are reused, so a
+ * retried parent does not create duplicates. Unsupported, empty and oversized files
+ * are skipped. The file's path in its source (attachment name, in-archive path) is
+ * kept as `metadata.sourcePath`.
+ * @param {object} parent - Parent document row
+ * @param {array} files - [{ filename, mimeType, content, sourcePath?, skippedReason?, metadata? }]
+ *   skippedReason: the file was not extracted (content is null)
+ * @returns {Promise<object>} - { created, existing, skipped } - new children to process,
+ *   children from an earlier attempt, and [{ filename, sourcePath, reason }] for skipped files
+ */
+const createChildDocuments = async (parent, files) => {
+  const created = [];
+  const existing = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const { filename, content } = file;
+    const sourcePath = file.sourcePath || filename;
+    const type = resolveFileType(filename, file.mimeType);
+
+    if (file.skippedReason) {
+      skipped.push({ filename, sourcePath, reason: file.skippedReason });
+      continue;
+    }
+
+    if (!type) {
+      skipped.push({ filename, sourcePath, reason: 'unsupported file type' });
+      continue;
+    }
+
+    if (!content || content.length === 0) {
+      skipped.push({ filename, sourcePath, reason: 'empty file' });
+      continue;
+    }
+
+    if (content.length > MAX_CHILD_FILE_BYTES) {
+      skipped.push({ filename, sourcePath, reason: `larger than ${MAX_CHILD_FILE_BYTES} bytes` });
+      continue;
+    }
+
+    const fileHash = crypto.createHash('sha256').update(content).digest('hex');
+    const previous = await documentRepository.findChildDocumentByHash(parent.id, fileHash, sourcePath);
+
+    if (previous) {
+      existing.push(previous);
+      continue;
+    }
+
+    const uploadResult = await uploadFile(content, filename);
+
+    const child = await documentRepository.createDocument({
+      user_id: parent.user_id,
+      parent_document_id: parent.id,
+      title: filename.replace(/\.[^/.]+$/, ''),
+      filename,
+      file_type: type.ext,
+      file_path: uploadResult.secure_url,
+      cloudinary_id: uploadResult.public_id,
+      mime_type: type.mimeType,
+      file_size: content.length,
+      file_hash: fileHash,
+      language_hint: parent.language_hint || null,
+      language_hint_source: parent.language_hint_source || null,
+      metadata: { ...(file.metadata || {}), sourcePath },
+      processing_status: 'pending'
+    });
+
+    created.push(child);
+  }
+
+  if (skipped.length > 0) {
+    console.warn(`⚠️ Skipped ${skipped.length} files of document ${parent.id}:`, skipped);
+  }
+  console.log(`📎 Document ${parent.id}: ${created.length} child documents created, ${existing.length} reused`);
+
+  return { created, existing, skipped };
+};
+
+// Statuses after which a document won't change without user action
+const FINAL_STATUSES = ['completed', 'failed', 'dead_letter'];
+
+/**
+ * Summarize the processing status of a document's children
+ * - 'processing' while any child is pending or processing
+ * - 'completed' / 'failed' when all children ended that way
+ * - 'partial' when all ended but only some completed
+ * @param {array} children - Child document rows
+ * @returns {object|null} - { status, total, counts }, or null without children
+ */
+const summarizeChildStatuses = (children) => {
+  if (!children || children.length === 0) {
+    return null;
+  }
+
+  const counts = {};
+  for (const child of children) {
+    counts[child.processing_status] = (counts[child.processing_status] || 0) + 1;
+  }
+
+  const completed = counts.completed || 0;
+  const ended = children.filter(child => FINAL_STATUSES.includes(child.processing_status)).length;
+
+  let status;
+  if (ended < children.length) {
+    status = 'processing';
+  } else if (completed === children.length) {
+    status = 'completed';
+  } else if (completed === 0) {
+    status = 'failed';
+  } else {
+    status = 'partial';
+  }
+
+  return { status, total: children.length, counts };
+};
+
+module.exports = {
+  createChildDocuments,
+  summarizeChildStatuses,
+  MAX_CHILD_FILE_BYTES
+};
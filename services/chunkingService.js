@@ -0,0 +1,264 @@
+const { getEncoding } = require('js-tiktoken');
+
+// Chunk size and overlap in embedding-model tokens (text-embedding-3-small uses cl100k_base)
+const CHUNK_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS, 10) || 200;
+const CHUNK_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS, 10) || 30;
+
+// Chunks this short (page numbers, stray labels) are not worth embedding
+const MIN_CHUNK_TOKENS = 12;
+const MIN_CHUNK_CHARS = 50;
+
+// Abbreviations the sentence segmenter takes for a sentence end ("Rev. C", "Doc. No. 12")
+const ABBREVIATION_END = /(?:^|[\s(])(?:rev|no|nr|doc|fig|figs|sec|tab|ref|para|approx|ca|vs|etc|incl|max|min|dept|vol|pp|e\.g|i\.e|z\.b|mr|mrs|ms|dr|st)\.\s*$/i;
+
+// A line ending like this completes its sentence; otherwise it is a wrapped line
+const SENTENCE_END = /[.!?;:。！？…)"'”\]]\s*$/;
+
+// Lines that start a new item even without punctuation before them (lists, table rows)
+const ITEM_START = /^\s*(?:[-•*–▪◦>|]|\d+(?:\.\d+)*[.)]?\s|[a-z][.)]\s)/i;
+
+// A list number the segmenter split off from its item ("4." | "Tag the wrench ...")
+const LIST_MARKER_ONLY = /^\s*(?:\d+(?:\.\d+)*|[a-z])[.)]\s*$/i;
+
+const sentenceSegmenter = new Intl.Segmenter('und', { granularity: 'sentence' });
+const wordSegmenter = new Intl.Segmenter('und', { granularity: 'word' });
+
+let encoding = null;
+
+/**
+ * Count embedding-model tokens (cl100k_base, loaded on first use)
+ * @param {string} text - Text
+ * @returns {number} - Token count
+ */
+const countTokens = (text) => {
+  if (!encoding) {
+    encoding = getEncoding('cl100k_base');
+  }
+  return encoding.encode(text).length;
+};
+
+/**
+ * Split a paragraph into sentences
+ * Segmenter breaks after abbreviations and at wrapped line ends are undone; list items
+ * and table rows stay separate.
+ * @param {string} paragraph - Paragraph text
+ * @returns {array} - Sentences, each with its trailing whitespace
+ */
+const splitSentences = (paragraph) => {
+  const sentences = [];
+
+  for (const { segment } of sentenceSegmenter.segment(paragraph)) {
+    const previous = sentences[sentences.length - 1];
+
+    const continuesPrevious = previous !== undefined && (
+      ABBREVIATION_END.test(previous) ||
+      LIST_MARKER_ONLY.test(previous) ||
+      (/\n\s*$/.test(previous) && !SENTENCE_END.test(previous) && !ITEM_START.test(segment))
+    );
+
+    if (continuesPrevious) {
+      sentences[sentences.length - 1] += segment;
+    } else {
+      sentences.push(segment);
+    }
+  }
+
+  return sentences;
+};
+
+/**
+ * Cut text longer than the chunk size at word boundaries
+ * A single "word" over the limit (long codes, unspaced text) is cut where it must be.
+ * @param {string} text - Sentence text
+ * @param {number} maxSize - Chunk size
+ * @param {function} measure - Size of a text
+ * @returns {array} - Pieces
+ */
+const splitWords = (text, maxSize, measure) => {
+  const pieces = [];
+  let current = '';
+  let currentSize = 0;
+
+  const pushLongWord = (word) => {
+    let rest = word;
+    while (rest) {
+      let length = Math.min(rest.length, maxSize);
+      while (length > 1 && measure(rest.slice(0, length)) > maxSize) {
+        length = Math.floor(length / 2);
+      }
+      pieces.push(rest.slice(0, length));
+      rest = rest.slice(length);
+    }
+  };
+
+  for (const { segment } of wordSegmenter.segment(text)) {
+    const size = measure(segment);
+
+    if (currentSize + size > maxSize && current.trim()) {
+      pieces.push(current);
+      current = '';
+      currentSize = 0;
+    }
+
+    if (size > maxSize) {
+      pushLongWord(segment);
+      continue;
+    }
+
+    current += segment;
+    currentSize += size;
+  }
+
+  if (current.trim()) {
+    pieces.push(current);
+  }
+
+  return pieces;
+};
+
+/**
+ * Split text into units no larger than the chunk size: sentences, or pieces of
+ * over-long sentences
+ * @param {string} text - Text
+ * @param {number} maxSize - Chunk size
+ * @param {function} measure - Size of a text
+ * @returns {array} - [{ text, size, separator }] separator goes before the unit inside a chunk
+ */
+const splitUnits = (text, maxSize, measure) => {
+  const units = [];
+
+  text
+    .split(/\n[ \t]*\n+/)
+    .filter(paragraph => paragraph.trim())
+    .forEach(paragraph => {
+      let separator = '\n\n';
+
+      for (const sentence of splitSentences(paragraph.trim())) {
+        const pieces = measure(sentence) > maxSize ? splitWords(sentence, maxSize, measure) : [sentence];
+
+        for (const piece of pieces) {
+          const pieceText = piece.trim();
+          if (pieceText) {
+            units.push({ text: pieceText, size: measure(pieceText), separator });
+          }
+          // Whitespace the piece ended with separates it from the next one (none between CJK sentences)
+          const trailing = piece.slice(piece.trimEnd().length);
+          separator = trailing.includes('\n') ? '\n' : (trailing ? ' ' : '');
+        }
+      }
+    });
+
+  return units;
+};
+
+/**
+ * Pack text into chunks along paragraph, sentence and word boundaries
+ * Sentences are added while the chunk stays within `maxSize`; the next chunk starts
+ * with the last whole sentences of the previous one, up to `overlap`.
+ * @param {string} text - Text to chunk
+ * @param {object} options - { maxSize, overlap, minSize, measure } sizes in the unit of `measure`;
+ *   chunks smaller than minSize are dropped
+ * @returns {array} - Array of text chunks
+ */
+const packChunks = (text, { maxSize, overlap, minSize, measure }) => {
+  const chunks = [];
+  let current = [];
+  let currentSize = 0;
+
+  const emit = () => {
+    const chunk = current
+      .map((unit, index) => (index === 0 ? '' : unit.separator) + unit.text)
+      .join('')
+      .trim();
+
+    if (chunk && measure(chunk) >= minSize) {
+      chunks.push(chunk);
+    }
+  };
+
+  for (const unit of splitUnits(text || '', maxSize, measure)) {
+    if (current.length > 0 && currentSize + unit.size > maxSize) {
+      emit();
+
+      // Carry whole sentences from the end of the chunk as overlap
+      const carried = [];
+      let carriedSize = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        if (carriedSize + current[i].size > overlap) break;
+        carried.unshift(current[i]);
+        carriedSize += current[i].size;
+      }
+
+      const fits = carriedSize + unit.size <= maxSize;
+      current = fits ? carried : [];
+      currentSize = fits ? carriedSize : 0;
+    }
+
+    current.push(unit);
+    currentSize += unit.size;
+  }
+
+  if (current.length > 0) {
+    emit();
+  }
+
+  return chunks;
+};
+
+/**
+ * Chunk text for embedding, sized in embedding-model tokens
+ * @param {string} text - Text to chunk
+ * @param {object} options - { maxTokens, overlapTokens, minTokens } minTokens: shorter chunks are
+ *   dropped (default MIN_CHUNK_TOKENS)
+ * @returns {array} - Array of text chunks
+ */
+const chunkTextByTokens = (text, options = {}) => {
+  return packChunks(text, {
+    maxSize: options.maxTokens || CHUNK_MAX_TOKENS,
+    overlap: options.overlapTokens ?? CHUNK_OVERLAP_TOKENS,
+    minSize: options.minTokens ?? MIN_CHUNK_TOKENS,
+    measure: countTokens
+  });
+};
+
+/**
+ * Chunk text along the same boundaries, sized in characters
+ * @param {string} text - Text to chunk
+ * @param {number} chunkSize - Maximum characters per chunk
+ * @param {number} overlap - Maximum characters carried over as whole sentences
+ * @returns {array} - Array of text chunks
+ */
+const chunkTextByCharacters = (text, chunkSize, overlap) => {
+  return packChunks(text, {
+    maxSize: chunkSize,
+    overlap,
+    minSize: MIN_CHUNK_CHARS + 1,
+    measure: value => value.length
+  });
+};
+
+/**
+ * Cut text into consecutive pieces of at most `maxChars` along the same boundaries,
+ * without overlap and without dropping short pieces (used for pseudo-pages)
+ * @param {string} text - Text to cut
+ * @param {number} maxChars - Maximum characters per piece
+ * @returns {array} - Pieces
+ */
+const splitTextAtBoundaries = (text, maxChars) => {
+  return packChunks(text, {
+    maxSize: maxChars,
+    overlap: 0,
+    minSize: 1,
+    measure: value => value.length
+  });
+};
+
+module.exports = {
+  chunkTextByTokens,
+  chunkTextByCharacters,
+  splitTextAtBoundaries,
+  countTokens,
+  splitSentences,
+  CHUNK_MAX_TOKENS,
+  CHUNK_OVERLAP_TOKENS
+};
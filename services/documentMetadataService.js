@@ -0,0 +1,322 @@
+const { decodeHtmlEntities } = require('./markupService');
+
+// Characters from the start of the document searched for control fields (title block, first header)
+const CONTROL_FIELD_SCAN_CHARS = 5000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DATE_PATTERN = '(\\d{4}-\\d{1,2}-\\d{1,2}' +
+  '|\\d{1,2}[./-]\\d{1,2}[./-]\\d{2,4}' +
+  '|\\d{1,2}[ -](?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?[ -,]*\\d{4}' +
+  '|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.? \\d{1,2},? \\d{4})';
+
+// "Doc No.: QP-07", "Document Number QA-SOP-012", "SOP # 1234-05", "Form No. QF12"
+const DOC_NUMBER_PATTERN = new RegExp(
+  '\\b(?:doc(?:ument)?\\.?\\s*(?:no|nr|number|num|id|#)|sop\\s*(?:no|number|#)|procedure\\s*(?:no|number)' +
+  '|form\\s*(?:no|number)|ref(?:erence)?\\.?\\s*(?:no|number))\\.?\\s*[:#]?\\s*' +
+  '([A-Z0-9]+(?:[-_./][A-Z0-9]+)+|[A-Z]{1,6}\\d{1,6})(?![A-Za-z0-9])',
+  'i'
+);
+
+// Unlabelled number directly followed by a revision, as in "QP-07 Rev C"
+const DOC_NUMBER_BEFORE_REVISION_PATTERN = /\b([A-Z]{1,6}(?:-[A-Z]{1,6})*-\d{1,6}(?:-\d{1,4})?)\s*,?\s*(?:Rev|REV)\b/;
+
+// "Rev C", "Revision: 03", "REV. 2.1" - not "Revision History" or "Rev. 2024-03-01"
+const REVISION_PATTERN = /\b(?:[Rr]ev(?:ision)?|REV(?:ISION)?)\.?\s*(?:[Nn]o\.?|[Ll]evel)?\s*[:#]?\s*([A-Z]{1,2}|\d{1,3}(?:\.\d{1,3})?)(?![A-Za-z0-9]|[-/.]\d)/;
+
+// "Effective Date: 2024-03-10", "Effective: 10 Mar 2024", "Eff. Date 03/10/2024"
+const EFFECTIVE_DATE_PATTERN = new RegExp(
+  `\\b(?:effective|eff\\.)(?:\\s+(?:date|from|as of|on))?\\s*[:\\-]?\\s*${DATE_PATTERN}`,
+  'i'
+);
+
+/**
+ * Format a date as YYYY-MM-DD if it is valid
+ * @param {number} year - Full year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @returns {string|null} - ISO date
+ */
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parse a date as written in a document
+ * Numeric dates are read day-first when written with dots (European), month-first
+ * or day-first when one part is over 12, and left unresolved when ambiguous.
+ * @param {string} text - Date text (e.g. '2024-03-10', '10.03.2024', 'March 10, 2024')
+ * @returns {string|null} - ISO date (YYYY-MM-DD) or null
+ */
+const parseDateText = (text) => {
+  const value = text.trim().toLowerCase();
+  let match;
+
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:t[\d:.]*(?:z|[+-][\d:]+)?)?$/.exec(value))) {
+    return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  if ((match = /^(\d{1,2})([./-])(\d{1,2})\2(\d{2,4})$/.exec(value))) {
+    const [, first, separator, second, yearText] = match;
+    const year = yearText.length === 2 ? 2000 + Number(yearText) : Number(yearText);
+    const a = Number(first);
+    const b = Number(second);
+
+    if (separator === '.' || a > 12) return toIsoDate(year, b, a);
+    if (b > 12) return toIsoDate(year, a, b);
+    return a === b ? toIsoDate(year, a, b) : null;
+  }
+
+  const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3)) + 1;
+
+  if ((match = /^(\d{1,2})[ -]([a-z]+)\.?[ -,]*(\d{4})$/.exec(value))) {
+    return toIsoDate(Number(match[3]), monthIndex(match[2]), Number(match[1]));
+  }
+
+  if ((match = /^([a-z]+)\.? (\d{1,2}),? (\d{4})$/.exec(value))) {
+    return toIsoDate(Number(match[3]), monthIndex(match[1]), Number(match[2]));
+  }
+
+  return null;
+};
+
+/**
+ * Convert a PDF date string (D:YYYYMMDDHHmmSSOHH'mm') to ISO 8601
+ * @param {string} value - PDF date
+ * @returns {string|null} - ISO timestamp
+ */
+const parsePdfDate = (value) => {
+  const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+  const offset = !sign || /z/i.test(sign) ? 'Z' : `${sign}${offsetHours}:${offsetMinutes}`;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Convert a date-like value to ISO 8601
+ * @param {Date|string} value - Date or date string
+ * @returns {string|null} - ISO timestamp
+ */
+const toIsoTimestamp = (value) => {
+  if (!value) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Drop empty values from a properties object
+ * @param {object} properties - Properties
+ * @returns {object} - Properties with non-empty values only
+ */
+const compactProperties = (properties) => {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .map(([key, value]) => [key, typeof value === 'string' ? value.trim() : value])
+      .filter(([, value]) => value !== null && value !== undefined && value !== '' &&
+        !(typeof value === 'object' && !(value instanceof Date) && Object.keys(value).length === 0))
+  );
+};
+
+/**
+ * Read the document properties of a PDF (Info dictionary)
+ * @param {object} info - pdf-parse `info`
+ * @returns {object} - { title, author, subject, keywords, creator, producer, created, modified }
+ */
+const readPdfProperties = (info = {}) => {
+  return compactProperties({
+    title: info.Title,
+    author: info.Author,
+    subject: info.Subject,
+    keywords: info.Keywords,
+    creator: info.Creator,
+    producer: info.Producer,
+    created: parsePdfDate(info.CreationDate),
+    modified: parsePdfDate(info.ModDate)
+  });
+};
+
+/**
+ * Text content of the first matching XML element
+ * @param {string} xml - XML document
+ * @param {string} tagName - Qualified tag name (e.g. 'dc:title')
+ * @returns {string|null} - Decoded text
+ */
+const readXmlTag = (xml, tagName) => {
+  const match = new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`).exec(xml);
+  return match ? decodeHtmlEntities(match[1].replace(/<[^>]+>/g, '')).trim() : null;
+};
+
+/**
+ * Read the custom properties of an Office document (docProps/custom.xml)
+ * Document control systems often store the document number and revision here.
+ * @param {string} xml - custom.xml
+ * @returns {object} - { name: value }
+ */
+const readOoxmlCustomProperties = (xml) => {
+  const custom = {};
+  const pattern = /<property\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/property>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    custom[decodeHtmlEntities(match[1])] = decodeHtmlEntities(match[2].replace(/<[^>]+>/g, '')).trim();
+  }
+
+  return custom;
+};
+
+/**
+ * Read the core and custom properties of an Office Open XML file (.docx, .pptx)
+ * @param {object} zip - JSZip archive of the file
+ * @returns {Promise<object>} - { title, author, subject, keywords, description, category, status,
+ *   lastModifiedBy, editCount, created, modified, custom }
+ */
+const readOoxmlProperties = async (zip) => {
+  const core = await zip.file('docProps/core.xml')?.async('string') || '';
+  const customXml = await zip.file('docProps/custom.xml')?.async('string') || '';
+
+  return compactProperties({
+    title: readXmlTag(core, 'dc:title'),
+    author: readXmlTag(core, 'dc:creator'),
+    subject: readXmlTag(core, 'dc:subject'),
+    keywords: readXmlTag(core, 'cp:keywords'),
+    description: readXmlTag(core, 'dc:description'),
+    category: readXmlTag(core, 'cp:category'),
+    status: readXmlTag(core, 'cp:contentStatus'),
+    lastModifiedBy: readXmlTag(core, 'cp:lastModifiedBy'),
+    // Save counter kept by Word, not the controlled revision
+    editCount: readXmlTag(core, 'cp:revision'),
+    created: toIsoTimestamp(readXmlTag(core, 'dcterms:created')),
+    modified: toIsoTimestamp(readXmlTag(core, 'dcterms:modified')),
+    custom: readOoxmlCustomProperties(customXml)
+  });
+};
+
+/**
+ * Read the properties of an OpenDocument file (meta.xml)
+ * @param {object} zip - JSZip archive of the file
+ * @returns {Promise<object>} - Same shape as readOoxmlProperties
+ */
+const readOdfProperties = async (zip) => {
+  const meta = await zip.file('meta.xml')?.async('string') || '';
+
+  const custom = {};
+  const pattern = /<meta:user-defined\b[^>]*\bmeta:name="([^"]+)"[^>]*>([\s\S]*?)<\/meta:user-defined>/g;
+  let match;
+  while ((match = pattern.exec(meta)) !== null) {
+    custom[decodeHtmlEntities(match[1])] = decodeHtmlEntities(match[2]).trim();
+  }
+
+  return compactProperties({
+    title: readXmlTag(meta, 'dc:title'),
+    author: readXmlTag(meta, 'meta:initial-creator') || readXmlTag(meta, 'dc:creator'),
+    subject: readXmlTag(meta, 'dc:subject'),
+    keywords: readXmlTag(meta, 'meta:keyword'),
+    description: readXmlTag(meta, 'dc:description'),
+    lastModifiedBy: readXmlTag(meta, 'dc:creator'),
+    editCount: readXmlTag(meta, 'meta:editing-cycles'),
+    created: toIsoTimestamp(readXmlTag(meta, 'meta:creation-date')),
+    modified: toIsoTimestamp(readXmlTag(meta, 'dc:date')),
+    custom
+  });
+};
+
+/**
+ * Read the properties of a workbook (SheetJS `Props` / `Custprops`)
+ * @param {object} workbook - SheetJS workbook
+ * @returns {object} - Same shape as readOoxmlProperties
+ */
+const readWorkbookProperties = (workbook) => {
+  const props = workbook.Props || {};
+
+  return compactProperties({
+    title: props.Title,
+    author: props.Author,
+    subject: props.Subject,
+    keywords: props.Keywords,
+    description: props.Comments,
+    category: props.Category,
+    company: props.Company,
+    lastModifiedBy: props.LastAuthor,
+    created: toIsoTimestamp(props.CreatedDate),
+    modified: toIsoTimestamp(props.ModifiedDate),
+    custom: workbook.Custprops ? { ...workbook.Custprops } : {}
+  });
+};
+
+/**
+ * Look up a custom property by a name pattern
+ * @param {object} custom - Custom properties
+ * @param {RegExp} pattern - Property name pattern
+ * @returns {string|null} - Property value
+ */
+const findCustomProperty = (custom = {}, pattern) => {
+  const key = Object.keys(custom).find(name => pattern.test(name));
+  return key && custom[key] ? String(custom[key]).trim() : null;
+};
+
+/**
+ * Normalize a document number or revision as stored ("qp-07" → "QP-07"); the library
+ * filters compare in upper case too
+ * @param {string} value - Raw value
+ * @returns {string|null} - Trimmed, upper-case value
+ */
+const normalizeControlValue = (value) => {
+  return typeof value === 'string' && value.trim() ? value.trim().toUpperCase() : null;
+};
+
+/**
+ * Find the document control fields of a controlled document
+ * The title block and first page header are searched first (document title and subject
+ * included), then custom file properties are used as a fallback.
+ * @param {string} text - Document text
+ * @param {object} properties - File properties from the read*Properties helpers
+ * @returns {object|null} - { docNumber, revision, effectiveDate, effectiveDateText }, or null if none found
+ */
+const extractControlFields = (text, properties = {}) => {
+  const scanText = [properties.title, properties.subject, (text || '').slice(0, CONTROL_FIELD_SCAN_CHARS)]
+    .filter(Boolean)
+    .join('\n');
+
+  const docNumberMatch = DOC_NUMBER_PATTERN.exec(scanText) || DOC_NUMBER_BEFORE_REVISION_PATTERN.exec(scanText);
+  const revisionMatch = REVISION_PATTERN.exec(scanText);
+  const effectiveMatch = EFFECTIVE_DATE_PATTERN.exec(scanText);
+
+  const effectiveDateText = effectiveMatch
+    ? effectiveMatch[1].trim()
+    : findCustomProperty(properties.custom, /effective/i);
+
+  const fields = compactProperties({
+    docNumber: normalizeControlValue(docNumberMatch
+      ? docNumberMatch[1]
+      : findCustomProperty(properties.custom, /^(doc(ument)?[\s_-]*(no|nr|number|num|id)|sop[\s_-]*(no|number))$/i)),
+    revision: normalizeControlValue(revisionMatch
+      ? revisionMatch[1]
+      : findCustomProperty(properties.custom, /^rev(ision)?([\s_-]*(no|level))?$/i)),
+    effectiveDate: effectiveDateText ? parseDateText(effectiveDateText) : null,
+    effectiveDateText
+  });
+
+  return Object.keys(fields).length > 0 ? fields : null;
+};
+
+module.exports = {
+  readPdfProperties,
+  readOoxmlProperties,
+  readOdfProperties,
+  readWorkbookProperties,
+  extractControlFields,
+  parseDateText
+};
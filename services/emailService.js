@@ -0,0 +1,134 @@
+const { simpleParser } = require('mailparser'); // RFC 822 / MIME (.eml)
+const MsgReader = require('@kenjiuno/msgreader').default; // Outlook (.msg)
+const { htmlToText } = require('./markupService');
+
+/**
+ * Format a mailparser address object as a display string
+ * @param {object|array} address - mailparser AddressObject(s)
+ * @returns {string|null} - e.g. 'QA Team <qa@example.com>, ...'
+ */
+const formatAddresses = (address) => {
+  if (!address) {
+    return null;
+  }
+
+  const text = (Array.isArray(address) ? address : [address])
+    .map(entry => entry.text)
+    .filter(Boolean)
+    .join(', ');
+
+  return text || null;
+};
+
+/**
+ * Read an RFC 822 email
+ * Embedded (cid:) images are not returned as attachments; they are part of the body layout.
+ * @param {Buffer} buffer - .eml file buffer
+ * @returns {Promise<object>} - { headers, text, attachments }
+ */
+const readEml = async (buffer) => {
+  const mail = await simpleParser(buffer, { skipImageLinks: true, skipTextToHtml: true });
+
+  const text = (mail.text && mail.text.trim())
+    ? mail.text
+    : (mail.html ? htmlToText(Buffer.from(mail.html)) : '');
+
+  return {
+    headers: {
+      from: formatAddresses(mail.from),
+      to: formatAddresses(mail.to),
+      cc: formatAddresses(mail.cc),
+      date: mail.date ? mail.date.toISOString() : null,
+      subject: mail.subject || null,
+      messageId: mail.messageId || null
+    },
+    text,
+    attachments: (mail.attachments || [])
+      .filter(attachment => !attachment.related)
+      .map((attachment, index) => ({
+        filename: attachment.filename
+          || (attachment.contentType === 'message/rfc822' ? `attached-message-${index + 1}.eml` : `attachment-${index + 1}`),
+        mimeType: attachment.contentType,
+        content: attachment.content
+      }))
+  };
+};
+
+/**
+ * Format .msg recipients of one type
+ * @param {array} recipients - msgreader recipient fields
+ * @param {string} type - 'to' | 'cc' | 'bcc'
+ * @returns {string|null} - Display string
+ */
+const formatMsgRecipients = (recipients, type) => {
+  const text = (recipients || [])
+    .filter(recipient => (recipient.recipType || 'to') === type)
+    .map(recipient => {
+      const email = recipient.smtpAddress || recipient.email;
+      return recipient.name && email && recipient.name !== email
+        ? `${recipient.name} <${email}>`
+        : (recipient.name || email);
+    })
+    .filter(Boolean)
+    .join(', ');
+
+  return text || null;
+};
+
+/**
+ * Read an Outlook .msg email
+ * Hidden attachments (inline images) are skipped; embedded messages come back as .msg files.
+ * @param {Buffer} buffer - .msg file buffer
+ * @returns {Promise<object>} - { headers, text, attachments }
+ */
+const readMsg = async (buffer) => {
+  // msgreader reads the underlying ArrayBuffer; hand it a standalone copy
+  const bytes = new Uint8Array(buffer);
+  const reader = new MsgReader(bytes.buffer);
+  const fields = reader.getFileData();
+
+  if (fields.error) {
+    throw new Error(fields.error);
+  }
+
+  const senderEmail = fields.senderSmtpAddress || fields.senderEmail;
+  const from = fields.senderName && senderEmail && fields.senderName !== senderEmail
+    ? `${fields.senderName} <${senderEmail}>`
+    : (fields.senderName || senderEmail || null);
+
+  const sentAt = fields.clientSubmitTime || fields.messageDeliveryTime || fields.creationTime;
+  const date = sentAt && !Number.isNaN(Date.parse(sentAt)) ? new Date(sentAt).toISOString() : null;
+
+  const text = (fields.body && fields.body.trim())
+    ? fields.body
+    : (fields.bodyHtml ? htmlToText(Buffer.from(fields.bodyHtml)) : '');
+
+  const attachments = (fields.attachments || [])
+    .filter(attachment => !attachment.attachmentHidden)
+    .map(attachment => {
+      const { fileName, content } = reader.getAttachment(attachment);
+      return {
+        filename: fileName || attachment.fileNameShort || 'attachment',
+        mimeType: attachment.innerMsgContent ? 'application/vnd.ms-outlook' : (attachment.attachMimeTag || null),
+        content: Buffer.from(content)
+      };
+    });
+
+  return {
+    headers: {
+      from,
+      to: formatMsgRecipients(fields.recipients, 'to'),
+      cc: formatMsgRecipients(fields.recipients, 'cc'),
+      date,
+      subject: fields.subject || null,
+      messageId: fields.messageId || null
+    },
+    text,
+    attachments
+  };
+};
+
+module.exports = {
+  readEml,
+  readMsg
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+// Keep .in() filters well below URL length limits
+const LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Cache key for the embedding model/deployment in use
+ * @returns {string} - Deployment name
+ */
+const getEmbeddingModelKey = () => process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME || 'default';
+
+/**
+ * Hash text after normalization (Unicode NFC, collapsed whitespace, trimmed)
+ * so formatting-only differences hit the same cache entry
+ * @param {string} text - Chunk text
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashText = (text) => {
+  const normalized = text.normalize('NFC').replace(/\s+/g, ' ').trim();
+  return crypto.createHash('sha256').update(normalized, 'utf8').digest('hex');
+};
+
+/**
+ * Look up cached embeddings
+ * Lookup errors are logged and treated as misses; the cache never blocks processing.
+ * @param {array} hashes - Content hashes
+ * @param {string} model - Embedding model key
+ * @returns {Promise<Map>} - Map of hash → embedding array
+ */
+const getCachedEmbeddings = async (hashes, model = getEmbeddingModelKey()) => {
+  const found = new Map();
+  const unique = [...new Set(hashes)];
+
+  try {
+    for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+      const { data, error } = await supabase
+        .from('embedding_cache')
+        .select('content_hash, embedding')
+        .eq('model', model)
+        .in('content_hash', unique.slice(i, i + LOOKUP_BATCH_SIZE));
+
+      if (error) throw error;
+
+      for (const row of data || []) {
+        // pgvector columns come back as '[0.1,0.2,...]' strings
+        const embedding = typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding;
+        found.set(row.content_hash, embedding);
+      }
+    }
+  } catch (error) {
+    console.error('⚠️ Embedding cache lookup failed:', error.message);
+  }
+
+  return found;
+};
+
+/**
+ * Store newly generated embeddings in the cache (existing entries are kept)
+ * @param {array} entries - Array of { hash, embedding }
+ * @param {string} model - Embedding model key
+ * @returns {Promise<void>}
+ */
+const cacheEmbeddings = async (entries, model = getEmbeddingModelKey()) => {
+  if (entries.length === 0) return;
+
+  // Identical chunks in one batch would otherwise conflict with each other
+  const unique = new Map(entries.map(({ hash, embedding }) => [hash, embedding]));
+
+  try {
+    const { error } = await supabase
+      .from('embedding_cache')
+      .upsert(
+        [...unique].map(([hash, embedding]) => ({ content_hash: hash, model, embedding })),
+        { onConflict: 'content_hash,model', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('⚠️ Embedding cache write failed:', error.message);
+  }
+};
+
+module.exports = {
+  hashText,
+  getCachedEmbeddings,
+  cacheEmbeddings,
+  getEmbeddingModelKey
+};
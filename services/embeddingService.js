@@ -1,5 +1,7 @@
 const azureOpenAI = require('../config/azureOpenai');
 const { supabase } = require('../config/supabase');
+const { embeddingPool } = require('./workerPoolService');
+const { hashText, getCachedEmbeddings, cacheEmbeddings } = require('./embeddingCacheService');
 
 /**
  * Generate embedding using Azure OpenAI text-embedding-3-small
@@ -41,10 +43,11 @@ const generateEmbedding = async (text, retries = 3) => {
       },
     });
 
-    const response = await embeddingClient.embeddings.create({
+    // Shared limit on in-flight Azure calls across all documents
+    const response = await embeddingPool.run(() => embeddingClient.embeddings.create({
       input: [truncatedText],
       model: process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT_NAME
-    });
+    }));
 
     if (!response || !response.data || !response.data[0] || !response.data[0].embedding) {
       console.error('Invalid response:', response);
@@ -70,21 +73,33 @@ const generateEmbedding = async (text, retries = 3) => {
     }
 
     console.error('❌ Azure OpenAI embedding error:', error.message);
-    throw new Error(`Failed to generate embedding: ${error.message}`);
+    // Keep the original error so callers can tell outages from bad input
+    throw new Error(`Failed to generate embedding: ${error.message}`, { cause: error });
   }
 };
 
 /**
  * Store document chunks with embeddings
  * @param {string} documentId - Document UUID
- * @param {array} chunks - Array of {text, pageNumber, language}
+ * @param {array} chunks - Array of {text, pageNumber, language, metadata?}
+ * @param {object} options - { onProgress(stage, completed, total) } for 'embed' and 'store' stages,
+ *                           { chunkVersion } chunk set the rows belong to,
+ *                           { stats } object filled with { cacheHits, cacheMisses, cacheHitRate },
+ *                           { isCancelled() } stop before the next batch or the insert once it returns true
  * @returns {Promise<number>} - Number of chunks stored
  */
 
 
 
 
-const storeChunksWithEmbeddings = async (documentId, chunks) => {
+const storeChunksWithEmbeddings = async (documentId, chunks, options = {}) => {
+  const onProgress = options.onProgress || (() => {});
+  const assertNotCancelled = () => {
+    if (options.isCancelled && options.isCancelled()) {
+      throw new Error('Lease lost before storing chunks');
+    }
+  };
+
   try {
     console.log(`📦 Storing ${chunks.length} chunks for document ${documentId}...`);
 
@@ -94,14 +109,25 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
 
     const chunksWithEmbeddings = [];
     let processedCount = 0;
+    let lastEmbeddingError = null;
+    let cacheHits = 0;
+    let cacheMisses = 0;
+
+    // Reuse embeddings of text we have embedded before
+    const hashes = chunks.map(chunk => (chunk.text ? hashText(chunk.text) : null));
+    const cachedEmbeddings = await getCachedEmbeddings(hashes.filter(Boolean));
+    console.log(`🗃️ Embedding cache: ${cachedEmbeddings.size} of ${chunks.length} chunks already embedded`);
 
     // Process in smaller batches to avoid rate limits
     const batchSize = 5; // Reduced from 10
     for (let i = 0; i < chunks.length; i += batchSize) {
+      assertNotCancelled();
       const batch = chunks.slice(i, i + batchSize);
 
       console.log(`🔄 Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(chunks.length / batchSize)}`);
 
+      const newCacheEntries = [];
+
       const batchPromises = batch.map(async (chunk, batchIndex) => {
         try {
           // Validate chunk text
@@ -110,8 +136,17 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
             return null;
           }
 
-          // Generate embedding
-          const embedding = await generateEmbedding(chunk.text);
+          // Use the cached embedding, or generate one and remember it
+          const hash = hashes[i + batchIndex];
+          let embedding = cachedEmbeddings.get(hash);
+
+          if (embedding) {
+            cacheHits++;
+          } else {
+            embedding = await generateEmbedding(chunk.text);
+            cacheMisses++;
+            newCacheEntries.push({ hash, embedding });
+          }
 
           // Validate embedding
           if (!embedding || !Array.isArray(embedding) || embedding.length === 0) {
@@ -123,6 +158,7 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
           if (processedCount % 5 === 0) {
             console.log(`✅ Processed ${processedCount}/${chunks.length} embeddings`);
           }
+          onProgress('embed', processedCount, chunks.length);
 
           // ✅ IMPORTANT: Store as array, not JSON string for pgvector
           return {
@@ -131,10 +167,13 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
             page_number: chunk.pageNumber,
             chunk_index: i + batchIndex,
             embedding: embedding, // Store as array directly
-            language: chunk.language || 'en'
+            language: chunk.language || 'en',
+            metadata: chunk.metadata || {}, // e.g. sheet name and cell range of table chunks
+            ...(options.chunkVersion && { chunk_version: options.chunkVersion })
           };
         } catch (error) {
           console.error(`❌ Error generating embedding for chunk ${i + batchIndex}:`, error.message);
+          lastEmbeddingError = error;
           return null;
         }
       });
@@ -146,18 +185,31 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
         chunksWithEmbeddings.push(...validResults);
       }
 
-      // Longer delay between batches to avoid rate limits
-      if (i + batchSize < chunks.length) {
+      await cacheEmbeddings(newCacheEntries);
+
+      // Longer delay between batches to avoid rate limits (not needed if the batch was all cache hits)
+      if (i + batchSize < chunks.length && newCacheEntries.length > 0) {
         console.log('⏳ Waiting 1 second before next batch...');
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
 
+    const cacheLookups = cacheHits + cacheMisses;
+    const cacheHitRate = cacheLookups > 0 ? Math.round((cacheHits / cacheLookups) * 1000) / 1000 : 0;
+    console.log(`🗃️ Embedding cache hit rate: ${(cacheHitRate * 100).toFixed(1)}% (${cacheHits} hits, ${cacheMisses} misses)`);
+
+    if (options.stats) {
+      Object.assign(options.stats, { cacheHits, cacheMisses, cacheHitRate });
+    }
+
     if (chunksWithEmbeddings.length === 0) {
-      throw new Error('❌ Failed to generate any valid embeddings');
+      throw new Error('❌ Failed to generate any valid embeddings', { cause: lastEmbeddingError });
     }
 
+    assertNotCancelled();
+
     console.log(`💾 Inserting ${chunksWithEmbeddings.length} chunks into database...`);
+    onProgress('store', 0, chunksWithEmbeddings.length);
 
     // Insert chunks into Supabase
     const { data, error } = await supabase
@@ -170,6 +222,7 @@ const storeChunksWithEmbeddings = async (documentId, chunks) => {
     }
 
     console.log(`✅ Successfully stored ${chunksWithEmbeddings.length} chunks with embeddings`);
+    onProgress('store', chunksWithEmbeddings.length, chunksWithEmbeddings.length);
     return chunksWithEmbeddings.length;
 
   } catch (error) {
@@ -219,7 +272,8 @@ const searchSimilarChunks = async (query, documentIds, topK = 5) => {
       text: chunk.text,
       pageNumber: chunk.page_number,
       similarity: chunk.similarity,
-      language: chunk.language
+      language: chunk.language,
+      metadata: chunk.metadata || {}
     }));
 
   } catch (error) {
@@ -240,7 +294,7 @@ const searchSimilarChunksManual = async (query, documentIds, topK = 5) => {
     const queryEmbedding = await generateEmbedding(query);
 
     // Get all chunks from specified documents
-    const { data: chunks, error } = await supabase
+    const { data: allChunks, error } = await supabase
       .from('document_chunks')
       .select('*')
       .in('document_id', documentIds)
@@ -248,7 +302,13 @@ const searchSimilarChunksManual = async (query, documentIds, topK = 5) => {
 
     if (error) throw error;
 
-    if (!chunks || chunks.length === 0) {
+    // Only the live chunk set of each document (a reindex may be writing a new one)
+    const activeVersions = await getActiveChunkVersions(documentIds);
+    const chunks = (allChunks || []).filter(chunk =>
+      (chunk.chunk_version || 1) === activeVersions[chunk.document_id]
+    );
+
+    if (chunks.length === 0) {
       return [];
     }
 
@@ -263,7 +323,8 @@ const searchSimilarChunksManual = async (query, documentIds, topK = 5) => {
         text: chunk.text,
         pageNumber: chunk.page_number,
         similarity,
-        language: chunk.language
+        language: chunk.language,
+        metadata: chunk.metadata || {}
       };
     });
 
@@ -321,16 +382,81 @@ const deleteDocumentChunks = async (documentId) => {
 };
 
 /**
- * Get chunk count for a document
+ * Delete one chunk set of a document (e.g. a partial set from a failed run)
+ * @param {string} documentId - Document UUID
+ * @param {number} version - Chunk set version to delete
+ * @returns {Promise<void>}
+ */
+const deleteChunkSet = async (documentId, version) => {
+  try {
+    const { error } = await supabase
+      .from('document_chunks')
+      .delete()
+      .eq('document_id', documentId)
+      .eq('chunk_version', version);
+
+    if (error) throw error;
+
+    console.log(`🗑️ Deleted chunk set v${version} for document ${documentId}`);
+  } catch (error) {
+    console.error('Error deleting chunk set:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Garbage-collect every chunk set except the live one
+ * @param {string} documentId - Document UUID
+ * @param {number} activeVersion - Chunk set version to keep
+ * @returns {Promise<void>}
+ */
+const deleteInactiveChunkSets = async (documentId, activeVersion) => {
+  try {
+    const { error } = await supabase
+      .from('document_chunks')
+      .delete()
+      .eq('document_id', documentId)
+      .neq('chunk_version', activeVersion);
+
+    if (error) throw error;
+
+    console.log(`🗑️ Deleted old chunk sets for document ${documentId} (kept v${activeVersion})`);
+  } catch (error) {
+    console.error('Error deleting old chunk sets:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Get the live chunk set version of each document
+ * @param {array} documentIds - Array of document UUIDs
+ * @returns {Promise<object>} - Map of documentId → active_chunk_version
+ */
+const getActiveChunkVersions = async (documentIds) => {
+  const { data, error } = await supabase
+    .from('documents')
+    .select('id, active_chunk_version')
+    .in('id', documentIds);
+
+  if (error) throw error;
+
+  return Object.fromEntries((data || []).map(doc => [doc.id, doc.active_chunk_version || 1]));
+};
+
+/**
+ * Get chunk count for a document (live chunk set only)
  * @param {string} documentId - Document UUID
  * @returns {Promise<number>} - Number of chunks
  */
 const getChunkCount = async (documentId) => {
   try {
+    const activeVersions = await getActiveChunkVersions([documentId]);
+
     const { count, error } = await supabase
       .from('document_chunks')
       .select('*', { count: 'exact', head: true })
-      .eq('document_id', documentId);
+      .eq('document_id', documentId)
+      .eq('chunk_version', activeVersions[documentId] || 1);
 
     if (error) throw error;
 
@@ -348,5 +474,8 @@ module.exports = {
   searchSimilarChunksManual,
   cosineSimilarity,
   deleteDocumentChunks,
+  deleteChunkSet,
+  deleteInactiveChunkSets,
+  getActiveChunkVersions,
   getChunkCount
 }
\ No newline at end of file
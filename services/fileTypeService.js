@@ -0,0 +1,231 @@
+const iconv = require('iconv-lite');
+const { createPermanentError } = require('./retryService');
+const { detectUtf16 } = require('./textEncodingService');
+
+// How much of the file is inspected for signatures and text heuristics
+const SNIFF_BYTES = 8192;
+
+// ZIP record signatures
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+
+// Main part of each Office Open XML format (named in [Content_Types].xml)
+const OOXML_MAIN_PARTS = [
+  { type: 'docx', part: 'word/document.xml', folder: 'word/' },
+  { type: 'xlsx', part: 'xl/workbook.xml', folder: 'xl/' },
+  { type: 'pptx', part: 'ppt/presentation.xml', folder: 'ppt/' }
+];
+
+/**
+ * List the entries of a ZIP archive from its central directory
+ * Only the archive structure is read, never the (compressed) contents, so file data
+ * cannot be mistaken for entry names. Truncated archives without a central directory
+ * fall back to walking the local file headers.
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {array} - [{ name, method, size, offset }] size is the compressed size, offset the local header
+ */
+const readZipEntries = (buffer) => {
+  const entries = [];
+
+  // End of central directory: last 22 bytes, plus a comment of up to 64KB
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === ZIP_END_OF_CENTRAL_DIR) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end >= 0) {
+    let count = buffer.readUInt16LE(end + 10);
+    let position = buffer.readUInt32LE(end + 16);
+
+    // ZIP64: the real values live in the ZIP64 end record
+    const locator = end - 20;
+    if ((count === 0xffff || position === 0xffffffff) && locator >= 0 && buffer.readUInt32LE(locator) === ZIP64_END_LOCATOR) {
+      const record = Number(buffer.readBigUInt64LE(locator + 8));
+      if (record + 56 <= buffer.length) {
+        count = Number(buffer.readBigUInt64LE(record + 32));
+        position = Number(buffer.readBigUInt64LE(record + 48));
+      }
+    }
+
+    for (let i = 0; i < count && position + 46 <= buffer.length; i++) {
+      if (buffer.readUInt32LE(position) !== ZIP_CENTRAL_HEADER) break;
+
+      const nameLength = buffer.readUInt16LE(position + 28);
+      entries.push({
+        name: buffer.toString('utf8', position + 46, position + 46 + nameLength),
+        method: buffer.readUInt16LE(position + 10),
+        size: buffer.readUInt32LE(position + 20),
+        offset: buffer.readUInt32LE(position + 42)
+      });
+
+      position += 46 + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+    }
+
+    return entries;
+  }
+
+  let position = 0;
+  while (position + 30 <= buffer.length && buffer.readUInt32LE(position) === ZIP_LOCAL_HEADER) {
+    const nameLength = buffer.readUInt16LE(position + 26);
+    const size = buffer.readUInt32LE(position + 18);
+
+    entries.push({
+      name: buffer.toString('utf8', position + 30, position + 30 + nameLength),
+      method: buffer.readUInt16LE(position + 8),
+      size,
+      offset: position
+    });
+
+    // Sizes written after the data (streamed archives) are unknown here
+    if ((buffer.readUInt16LE(position + 6) & 0x08) && size === 0) break;
+    position += 30 + nameLength + buffer.readUInt16LE(position + 28) + size;
+  }
+
+  return entries;
+};
+
+/**
+ * Read an uncompressed ZIP entry (OpenDocument stores its `mimetype` this way)
+ * @param {Buffer} buffer - ZIP file buffer
+ * @param {object} entry - Entry from readZipEntries
+ * @returns {string} - Entry content, or '' if it is compressed or out of range
+ */
+const readStoredZipEntry = (buffer, entry) => {
+  const header = entry.offset;
+  if (entry.method !== 0 || header + 30 > buffer.length || buffer.readUInt32LE(header) !== ZIP_LOCAL_HEADER) {
+    return '';
+  }
+
+  const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+  return buffer.toString('latin1', start, Math.min(buffer.length, start + Math.min(entry.size, 200))).trim();
+};
+
+/**
+ * Tell the ZIP-based formats apart by their entry names
+ * @param {Buffer} buffer - ZIP file buffer
+ * @returns {string} - docx, xlsx, pptx, odt, ods or zip
+ */
+const detectZipType = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const names = new Set(entries.map(entry => entry.name));
+
+  const mimetypeEntry = entries.find(entry => entry.name === 'mimetype');
+  const mimetype = mimetypeEntry ? readStoredZipEntry(buffer, mimetypeEntry) : '';
+  if (mimetype.startsWith('application/vnd.oasis.opendocument.text')) return 'odt';
+  if (mimetype.startsWith('application/vnd.oasis.opendocument.spreadsheet')) return 'ods';
+
+  // Office packages always have [Content_Types].xml; a plain archive may still hold a 'word/' folder
+  if (!names.has('[Content_Types].xml')) return 'zip';
+
+  const main = OOXML_MAIN_PARTS.find(({ part }) => names.has(part)) ||
+    OOXML_MAIN_PARTS.find(({ folder }) => entries.some(entry => entry.name.startsWith(folder)));
+
+  return main ? main.type : 'zip';
+};
+
+/**
+ * Detect the real file format from its leading bytes (magic numbers)
+ * @param {Buffer} buffer - File buffer
+ * @returns {string|null} - Detected format: pdf, docx, xlsx, pptx, odt, ods, zip, ole, png, jpg, gif, html, rtf, text; null if unknown
+ */
+const detectFileType = (buffer) => {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const head = buffer.subarray(0, SNIFF_BYTES);
+
+  // PDF header may be preceded by a little garbage
+  if (head.indexOf('%PDF-') !== -1 && head.indexOf('%PDF-') < 1024) return 'pdf';
+
+  if (head[0] === 0x89 && head.subarray(1, 4).toString('latin1') === 'PNG') return 'png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpg';
+  if (head.subarray(0, 4).toString('latin1') === 'GIF8') return 'gif';
+
+  // OLE2 compound file: legacy .doc / .xls
+  if (head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) return 'ole';
+
+  // ZIP container: tell Office and OpenDocument formats apart by their entry names
+  if (head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) {
+    return detectZipType(buffer);
+  }
+
+  if (head.subarray(0, 5).toString('latin1') === '{\\rtf') return 'rtf';
+
+  // Text formats: no NUL bytes outside UTF-16 (with a byte order mark or recognised by its NULs)
+  const utf16 = (head[0] === 0xff && head[1] === 0xfe) ? 'utf-16le'
+    : (head[0] === 0xfe && head[1] === 0xff) ? 'utf-16be'
+      : detectUtf16(head);
+  if (!utf16 && head.includes(0x00)) {
+    return null;
+  }
+
+  const headText = utf16 ? iconv.decode(head, utf16) : head.toString('utf8');
+  const start = headText.replace(/^\uFEFF/, '').trimStart().slice(0, 256).toLowerCase();
+  if (start.startsWith('<!doctype html') || start.startsWith('<html') || (start.startsWith('<?xml') && start.includes('<html'))) {
+    return 'html';
+  }
+
+  return 'text';
+};
+
+// Detected formats each declared file type may legitimately have
+const ACCEPTED_FORMATS = {
+  pdf: ['pdf'],
+  doc: ['ole', 'docx', 'rtf', 'html'], // Legacy exports often save RTF/HTML as .doc
+  docx: ['docx'],
+  xls: ['ole', 'text', 'html'], // Browsers label CSV as vnd.ms-excel; old exports save HTML tables as .xls
+  xlsx: ['xlsx'],
+  pptx: ['pptx'],
+  odt: ['odt'],
+  ods: ['ods'],
+  rtf: ['rtf'],
+  html: ['html', 'text'], // Fragments without <html> sniff as text
+  png: ['png', 'jpg', 'gif'],
+  jpg: ['png', 'jpg', 'gif'],
+  jpeg: ['png', 'jpg', 'gif'],
+  gif: ['png', 'jpg', 'gif'],
+  zip: ['zip', 'docx', 'xlsx', 'pptx'], // An archive of an unpacked Office package detects as that format
+  eml: ['text'],
+  msg: ['ole'],
+  txt: ['text'],
+  md: ['text'],
+  csv: ['text']
+};
+
+/**
+ * Check that the file content matches the declared type before choosing a parser
+ * @param {Buffer} buffer - File buffer
+ * @param {string} fileType - Declared file extension
+ * @returns {string} - Detected format
+ * @throws {Error} - FILE_TYPE_UNKNOWN / FILE_TYPE_MISMATCH (not retryable)
+ */
+const assertFileType = (buffer, fileType) => {
+  const declared = fileType.toLowerCase();
+  const detected = detectFileType(buffer);
+
+  if (!detected) {
+    throw createPermanentError('FILE_TYPE_UNKNOWN', `Could not recognize the content of this .${declared} file`);
+  }
+
+  const accepted = ACCEPTED_FORMATS[declared];
+  if (accepted && !accepted.includes(detected)) {
+    throw createPermanentError(
+      'FILE_TYPE_MISMATCH',
+      `File declared as .${declared} but its content is ${detected}`
+    );
+  }
+
+  return detected;
+};
+
+module.exports = {
+  detectFileType,
+  assertFileType,
+  ACCEPTED_FORMATS
+};
@@ -1,49 +1,230 @@
 const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth'); // For Word documents
-const XLSX = require('xlsx'); // For Excel
-const Tesseract = require('tesseract.js'); // For OCR on images
+const WordExtractor = require('word-extractor'); // For legacy binary .doc
+const XLSX = require('xlsx'); // For Excel and OpenDocument spreadsheets
+const JSZip = require('jszip'); // For PowerPoint and OpenDocument text
 const axios = require('axios');
+const { assertFileType } = require('./fileTypeService');
+const { createPermanentError } = require('./retryService');
+const { rasterizePdfPages } = require('./pdfRasterService');
+const { withOcrWorker, recognizeText } = require('./ocrService');
+const { rtfToText, htmlToText, slideXmlToText, odfContentToText } = require('./markupService');
+const { readEml, readMsg } = require('./emailService');
+const { extractArchive } = require('./archiveService');
+const { buildSheetChunks } = require('./spreadsheetService');
+const { decodeText } = require('./textEncodingService');
+const { chunkTextByTokens, chunkTextByCharacters, splitTextAtBoundaries } = require('./chunkingService');
+const { extractDocxSections, buildSectionChunks } = require('./wordStructureService');
+const { extractPageLayout, layoutToText, buildTableChunks } = require('./pdfTableService');
+const {
+  readPdfProperties,
+  readOoxmlProperties,
+  readOdfProperties,
+  readWorkbookProperties,
+  extractControlFields
+} = require('./documentMetadataService');
+
+// Target size of a CSV page (whole rows, header repeated on each)
+const CSV_CHARS_PER_PAGE = 2000;
+
+// Pages with fewer non-whitespace characters than this are treated as scanned and OCR'd
+const OCR_MIN_PAGE_CHARS = parseInt(process.env.OCR_MIN_PAGE_CHARS, 10) || 20;
+
+// Hard cap on downloaded bytes (uploads are limited to 20MB)
+const MAX_DOWNLOAD_BYTES = parseInt(process.env.MAX_DOWNLOAD_BYTES, 10) || 25 * 1024 * 1024;
+
+// Storage hosts files may be fetched from (exact host or subdomain)
+const ALLOWED_DOWNLOAD_HOSTS = (process.env.DOWNLOAD_ALLOWED_HOSTS || 'res.cloudinary.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Read the lines of one PDF page (pdf.js text content) in content-stream order
+ * Items on the same baseline are joined, a new baseline starts a new line.
+ * @param {array} items - pdf.js text content items
+ * @returns {array} - [{ text, y }] y is the baseline (PDF units, from the bottom of the page)
+ */
+const readPageLines = (items) => {
+  const lines = [];
+
+  for (const item of items) {
+    const line = lines[lines.length - 1];
+    const y = item.transform[5];
+
+    if (line && line.y === y) {
+      line.text += item.str;
+    } else {
+      lines.push({ text: item.str, y });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Chunk a PDF page that contains tables
+ * Every table (or group of its rows) becomes its own Markdown chunk with the column
+ * header; the text around the tables is chunked as usual.
+ * @param {array} blocks - Blocks from extractPageLayout
+ * @returns {array} - [{ text, metadata }]
+ */
+const buildPdfPageChunks = (blocks) => {
+  const chunks = [];
+  let tableIndex = 0;
+
+  for (const block of blocks) {
+    if (block.type === 'table') {
+      chunks.push(...buildTableChunks(block, ++tableIndex));
+    } else {
+      chunkTextByTokens(block.text).forEach(text => {
+        chunks.push({ text, metadata: { contentType: 'text' } });
+      });
+    }
+  }
+
+  return chunks;
+};
+
+/**
+ * OCR the pages of a PDF that have (almost) no native text
+ * Each page is rasterized and run through Tesseract; OCR text replaces the
+ * native text only if it is longer. Failures leave the page as it was.
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {array} pages - Parsed pages (updated in place)
+ * @param {object} options - { language, languageSource } ISO 639-1 hint for the OCR language
+ * @returns {Promise<number>} - Number of pages that got OCR text
+ */
+const ocrScannedPages = async (buffer, pages, options = {}) => {
+  const scanned = pages.filter(page => page.text.replace(/\s/g, '').length < OCR_MIN_PAGE_CHARS);
+
+  if (scanned.length === 0) {
+    return 0;
+  }
+
+  console.log(`PDF has ${scanned.length} pages without a text layer, running OCR...`);
+  let ocrCount = 0;
+
+  try {
+    await withOcrWorker(async (ocr) => {
+      const pagesByNumber = new Map(scanned.map(page => [page.pageNumber, page]));
+
+      // The PDF is opened once and rendered one page at a time, which keeps memory flat on long scans
+      for await (const { pageNumber, image, error } of rasterizePdfPages(buffer, [...pagesByNumber.keys()])) {
+        const page = pagesByNumber.get(pageNumber);
+
+        try {
+          if (error) throw error;
+
+          // Language resolved per page: scans can mix scripts
+          const result = await recognizeText(ocr, image, {
+            language: options.language,
+            languageSource: options.languageSource
+          });
+
+          if (result.text.length > page.text.length) {
+            page.text = result.text;
+            page.extractionMethod = 'ocr';
+            page.ocrLanguage = result.language;
+            page.isBlank = false;
+            ocrCount++;
+          }
+        } catch (pageError) {
+          console.error(`OCR failed for PDF page ${pageNumber}:`, pageError.message);
+        }
+      }
+    });
+  } catch (error) {
+    console.error('OCR unavailable:', error.message || error);
+  }
+
+  console.log(`OCR produced text for ${ocrCount}/${scanned.length} pages`);
+  return ocrCount;
+};
 
 /**
  * Parse PDF file and extract text with page numbers
+ * Text is collected page by page, so every entry in `pages` holds exactly that
+ * page's text; blank pages are kept with `isBlank: true`. Pages without a text
+ * layer (scans) are OCR'd; `extractionMethod` records 'text' or 'ocr' per page.
+ * Tables found in the text layer are rendered as Markdown and chunked on their own
+ * (contentType 'table'), so rows keep their column headers.
  * @param {Buffer} buffer - PDF file buffer
- * @returns {Promise<object>} - { text, pages, totalPages }
+ * @param {object} options - { language, languageSource } ISO 639-1 hint for OCR
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { properties } }
  */
-const parsePDF = async (buffer) => {
+const parsePDF = async (buffer, options = {}) => {
   try {
     console.log('Parsing PDF...');
-    const data = await pdfParse(buffer);
+    const pageTexts = [];
+    const pageLayouts = [];
 
-    const text = data.text;
-    const totalPages = data.numpages;
+    // pdf.js reads the underlying ArrayBuffer, which for small pooled Buffers holds
+    // other data too; hand it a standalone copy
+    const data = await pdfParse(new Uint8Array(buffer), {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent({
+          normalizeWhitespace: false,
+          disableCombineTextItems: false
+        });
 
-    console.log(`PDF parsed: ${totalPages} pages, ${text.length} characters`);
+        // Pages with tables keep their rows and columns; other pages read as before
+        const layout = extractPageLayout(textContent.items);
+        const lines = layout.tableCount > 0 ? layout.lines : readPageLines(textContent.items);
+        const pageText = layout.tableCount > 0 ? layoutToText(layout.blocks) : lines.map(line => line.text).join('\n');
 
-    if (!text || text.trim().length === 0) {
-      throw new Error('PDF contains no extractable text');
-    }
+        pageTexts[pageData.pageIndex] = pageText;
+        pageLayouts[pageData.pageIndex] = { ...layout, lines };
+        return pageText;
+      }
+    });
 
-    // Split text by approximate pages
-    const textPerPage = text.length / totalPages;
+    const totalPages = data.numpages;
     const pages = [];
 
     for (let i = 0; i < totalPages; i++) {
-      const start = Math.floor(i * textPerPage);
-      const end = Math.floor((i + 1) * textPerPage);
-      const pageText = text.slice(start, end).trim();
+      const pageText = (pageTexts[i] || '').trim();
 
-      if (pageText) {
-        pages.push({
-          pageNumber: i + 1,
-          text: pageText
-        });
+      pages.push({
+        pageNumber: i + 1,
+        text: pageText,
+        isBlank: pageText.length === 0,
+        extractionMethod: 'text'
+      });
+    }
+
+    await ocrScannedPages(buffer, pages, options);
+
+    pages.forEach((page, i) => {
+      const layout = pageLayouts[i];
+      if (page.extractionMethod !== 'text' || !layout) return;
+
+      // Line positions let running headers and footers be found by where they sit on the page
+      page.lines = layout.lines.filter(line => line.text.trim());
+
+      if (layout.tableCount > 0) {
+        page.tableCount = layout.tableCount;
+        page.chunks = buildPdfPageChunks(layout.blocks);
       }
+    });
+
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+
+    console.log(`PDF parsed: ${totalPages} pages, ${text.length} characters`);
+
+    if (!text || text.trim().length === 0) {
+      throw new Error('PDF contains no extractable text');
+    }
+
+    const blankPages = pages.filter(page => page.isBlank).map(page => page.pageNumber);
+    if (blankPages.length > 0) {
+      console.log(`PDF has ${blankPages.length} blank pages: ${blankPages.join(', ')}`);
     }
 
     return {
       text: text.trim(),
       pages,
-      totalPages
+      totalPages,
+      metadata: { properties: readPdfProperties(data.info) }
     };
   } catch (error) {
     console.error('PDF parsing error:', error.message);
@@ -51,17 +232,91 @@ const parsePDF = async (buffer) => {
   }
 };
 
+/**
+ * Extract text from a Word 97-2003 binary (OLE) document
+ * Footnotes and endnotes are appended after the body; headers and footers are left out.
+ * @param {Buffer} buffer - .doc file buffer
+ * @returns {Promise<string>} - Document text
+ */
+const extractLegacyWordText = async (buffer) => {
+  const document = await new WordExtractor().extract(buffer);
+
+  return [document.getBody(), document.getFootnotes(), document.getEndnotes()]
+    .map(part => (part || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Parse a .docx along its heading hierarchy
+ * Each section (heading and the content up to the next heading) becomes a page, and
+ * its chunks are cut at block boundaries inside the section and carry the section
+ * path (e.g. "5 Production > 5.3 Calibration"). Lists and tables keep their layout.
+ * @param {Buffer} buffer - .docx file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { properties } }
+ */
+const parseDocxSections = async (buffer) => {
+  const sections = await extractDocxSections(buffer);
+  const properties = await readOoxmlProperties(await JSZip.loadAsync(buffer));
+
+  const pages = sections.map((section, index) => {
+    const body = section.blocks.map(block => block.text).join('\n\n');
+
+    return {
+      pageNumber: index + 1,
+      text: [section.heading, body].filter(Boolean).join('\n\n'),
+      sectionPath: section.path || null,
+      chunks: buildSectionChunks(section)
+    };
+  });
+
+  const text = pages.map(page => page.text).join('\n\n');
+
+  if (!text.trim()) {
+    throw new Error('Word document contains no extractable text');
+  }
+
+  console.log(`Word parsed: ${sections.length} sections, ${text.length} characters`);
+
+  return {
+    text: text.trim(),
+    pages,
+    totalPages: pages.length,
+    metadata: { properties }
+  };
+};
+
 /**
  * Parse Word document (.doc, .docx) and extract text
+ * The extractor follows the detected content, not the extension: legacy QMS
+ * exports often save RTF or HTML with a .doc name, and some .doc files are docx.
+ * .docx files are split into heading sections; the other formats carry no reliable
+ * heading styles and fall back to pseudo-pages.
  * @param {Buffer} buffer - Word file buffer
+ * @param {string} detectedType - Content type from fileTypeService (ole, docx, rtf, html)
  * @returns {Promise<object>} - { text, pages, totalPages }
  */
-const parseWord = async (buffer) => {
+const parseWord = async (buffer, detectedType = 'docx') => {
   try {
-    console.log('Parsing Word document...');
-    const result = await mammoth.extractRawText({ buffer });
+    console.log(`Parsing Word document (${detectedType})...`);
+    let text;
+
+    switch (detectedType) {
+      case 'ole':
+        text = await extractLegacyWordText(buffer);
+        break;
 
-    const text = result.value;
+      case 'rtf':
+        text = rtfToText(buffer);
+        break;
+
+      case 'html':
+        text = htmlToText(buffer);
+        break;
+
+      default:
+        return await parseDocxSections(buffer);
+    }
 
     if (!text || text.trim().length === 0) {
       throw new Error('Word document contains no extractable text');
@@ -85,9 +340,129 @@ const parseWord = async (buffer) => {
 };
 
 /**
- * Parse Excel file (.xls, .xlsx) and extract text from all sheets
+ * Resolve the slide parts of a presentation in show order
+ * Order comes from the slide id list in presentation.xml, not the part names.
+ * @param {object} zip - JSZip archive of the .pptx
+ * @returns {Promise<array>} - Slide part paths (e.g. 'ppt/slides/slide3.xml')
+ */
+const getSlidePaths = async (zip) => {
+  const presentation = await zip.file('ppt/presentation.xml')?.async('string');
+  const rels = await zip.file('ppt/_rels/presentation.xml.rels')?.async('string');
+
+  if (!presentation || !rels) {
+    throw new Error('Not a PowerPoint presentation');
+  }
+
+  const targets = {};
+  for (const [, attrs] of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = /\bId="([^"]+)"/.exec(attrs)?.[1];
+    const target = /\bTarget="([^"]+)"/.exec(attrs)?.[1];
+    if (id && target) targets[id] = target;
+  }
+
+  return [...presentation.matchAll(/<p:sldId\b[^>]*\br:id="([^"]+)"/g)]
+    .map(([, relId]) => targets[relId])
+    .filter(Boolean)
+    .map(target => target.startsWith('/') ? target.slice(1) : `ppt/${target}`);
+};
+
+/**
+ * Read the speaker notes attached to a slide
+ * @param {object} zip - JSZip archive of the .pptx
+ * @param {string} slidePath - Slide part path
+ * @returns {Promise<string>} - Notes text ('' if none)
+ */
+const getSlideNotes = async (zip, slidePath) => {
+  const slideFile = slidePath.split('/').pop();
+  const rels = await zip.file(`ppt/slides/_rels/${slideFile}.rels`)?.async('string');
+  const notesTarget = rels && /Target="\.\.\/notesSlides\/([^"]+)"/.exec(rels)?.[1];
+
+  if (!notesTarget) {
+    return '';
+  }
+
+  const notesXml = await zip.file(`ppt/notesSlides/${notesTarget}`)?.async('string');
+  return notesXml ? slideXmlToText(notesXml) : '';
+};
+
+/**
+ * Parse PowerPoint presentation (.pptx) - one page per slide
+ * Speaker notes are appended to their slide's text.
+ * @param {Buffer} buffer - PowerPoint file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { properties } }
+ */
+const parsePowerPoint = async (buffer) => {
+  try {
+    console.log('Parsing PowerPoint presentation...');
+    const zip = await JSZip.loadAsync(buffer);
+    const slidePaths = await getSlidePaths(zip);
+    const pages = [];
+
+    for (const [index, slidePath] of slidePaths.entries()) {
+      const slideXml = await zip.file(slidePath)?.async('string');
+      const slideText = slideXml ? slideXmlToText(slideXml) : '';
+      const notes = await getSlideNotes(zip, slidePath);
+
+      const pageText = notes ? `${slideText}\n\nSpeaker notes:\n${notes}`.trim() : slideText;
+
+      pages.push({
+        pageNumber: index + 1,
+        text: pageText,
+        isBlank: pageText.length === 0
+      });
+    }
+
+    const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+
+    if (!text) {
+      throw new Error('Presentation contains no extractable text');
+    }
+
+    console.log(`PowerPoint parsed: ${pages.length} slides, ${text.length} characters`);
+
+    return {
+      text,
+      pages,
+      totalPages: pages.length,
+      metadata: { properties: await readOoxmlProperties(zip) }
+    };
+  } catch (error) {
+    console.error('PowerPoint parsing error:', error.message);
+    throw new Error(`Failed to parse PowerPoint file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse OpenDocument text (.odt)
+ * @param {Buffer} buffer - ODT file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { properties } }
+ */
+const parseOpenDocumentText = async (buffer) => {
+  try {
+    console.log('Parsing OpenDocument text...');
+    const zip = await JSZip.loadAsync(buffer);
+    const contentXml = await zip.file('content.xml')?.async('string');
+
+    if (!contentXml) {
+      throw new Error('content.xml missing');
+    }
+
+    return {
+      ...buildTextResult(odfContentToText(contentXml), 'OpenDocument text'),
+      metadata: { properties: await readOdfProperties(zip) }
+    };
+  } catch (error) {
+    console.error('ODT parsing error:', error.message);
+    throw new Error(`Failed to parse OpenDocument text: ${error.message}`);
+  }
+};
+
+/**
+ * Parse spreadsheet (.xls, .xlsx, .ods) and extract text from all sheets - one page per sheet
+ * Each page also carries ready-made table `chunks` (groups of rows under the
+ * header row, with their cell range) that replace plain text chunking.
  * @param {Buffer} buffer - Excel file buffer
- * @returns {Promise<object>} - { text, pages, totalPages }
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { properties } }
  */
 const parseExcel = async (buffer) => {
   try {
@@ -111,7 +486,8 @@ const parseExcel = async (buffer) => {
         pages.push({
           pageNumber: index + 1,
           text: sheetText,
-          sheetName: sheetName
+          sheetName: sheetName,
+          chunks: buildSheetChunks(sheet, sheetName)
         });
       }
     });
@@ -127,7 +503,8 @@ const parseExcel = async (buffer) => {
     return {
       text: combinedText.trim(),
       pages,
-      totalPages: pages.length
+      totalPages: pages.length,
+      metadata: { properties: readWorkbookProperties(workbook) }
     };
   } catch (error) {
     console.error('Excel parsing error:', error.message);
@@ -137,37 +514,31 @@ const parseExcel = async (buffer) => {
 
 /**
  * Parse image file using OCR (Tesseract)
+ * The OCR language comes from a document hint, or from script detection when there is
+ * none (the uploader's locale only counts for Latin script or inconclusive detection).
  * @param {Buffer} buffer - Image file buffer
+ * @param {object} options - { language, languageSource } ISO 639-1 hint, 'document' or 'locale'
  * @returns {Promise<object>} - { text, pages, totalPages }
  */
-const parseImage = async (buffer) => {
+const parseImage = async (buffer, options = {}) => {
   try {
     console.log('Parsing image with OCR...');
 
-    // Tesseract.js can work with buffers
-    const { data: { text } } = await Tesseract.recognize(
-      buffer,
-      'eng', // Default to English, can be made configurable
-      {
-        logger: info => {
-          if (info.status === 'recognizing text') {
-            console.log(`OCR progress: ${Math.round(info.progress * 100)}%`);
-          }
-        }
-      }
-    );
+    const { text, language } = await withOcrWorker(ocr => recognizeText(ocr, buffer, options));
 
     if (!text || text.trim().length === 0) {
       throw new Error('Image contains no recognizable text');
     }
 
-    console.log(`Image OCR complete: ${text.length} characters`);
+    console.log(`Image OCR complete (${language}): ${text.length} characters`);
 
     return {
       text: text.trim(),
       pages: [{
         pageNumber: 1,
-        text: text.trim()
+        text: text.trim(),
+        extractionMethod: 'ocr',
+        ocrLanguage: language
       }],
       totalPages: 1
     };
@@ -179,13 +550,14 @@ const parseImage = async (buffer) => {
 
 /**
  * Parse plain text file
+ * The encoding (BOM, UTF-8 or detected legacy code page) is returned in `metadata.encoding`.
  * @param {Buffer} buffer - Text file buffer
- * @returns {Promise<object>} - { text, pages, totalPages }
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { encoding } }
  */
 const parseText = async (buffer) => {
   try {
     console.log('Parsing text file...');
-    const text = buffer.toString('utf-8');
+    const { text, encoding } = decodeText(buffer);
 
     if (!text || text.trim().length === 0) {
       throw new Error('Text file is empty');
@@ -199,7 +571,8 @@ const parseText = async (buffer) => {
     return {
       text: text.trim(),
       pages: pseudoPages,
-      totalPages: pseudoPages.length
+      totalPages: pseudoPages.length,
+      metadata: { encoding }
     };
   } catch (error) {
     console.error('Text parsing error:', error.message);
@@ -207,115 +580,434 @@ const parseText = async (buffer) => {
   }
 };
 
+/**
+ * Parse RTF document
+ * @param {Buffer} buffer - RTF file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages }
+ */
+const parseRtf = async (buffer) => {
+  try {
+    console.log('Parsing RTF document...');
+    return buildTextResult(rtfToText(buffer), 'RTF');
+  } catch (error) {
+    console.error('RTF parsing error:', error.message);
+    throw new Error(`Failed to parse RTF file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse HTML page (scripts, styles and markup removed)
+ * @param {Buffer} buffer - HTML file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages }
+ */
+const parseHtml = async (buffer) => {
+  try {
+    console.log('Parsing HTML document...');
+    return buildTextResult(htmlToText(buffer), 'HTML');
+  } catch (error) {
+    console.error('HTML parsing error:', error.message);
+    throw new Error(`Failed to parse HTML file: ${error.message}`);
+  }
+};
+
+/**
+ * Split CSV text into rows, keeping line breaks inside quoted fields
+ * @param {string} text - CSV text
+ * @returns {array} - Non-empty rows (raw CSV lines)
+ */
+const splitCsvRows = (text) => {
+  const rows = [];
+  let inQuotes = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (ch === '\n' && !inQuotes) {
+      rows.push(text.slice(start, i).replace(/\r$/, ''));
+      start = i + 1;
+    }
+  }
+  rows.push(text.slice(start).replace(/\r$/, ''));
+
+  return rows.filter(row => row.trim().length > 0);
+};
+
+/**
+ * Parse CSV file - pages of whole rows, each starting with the header row
+ * Values are kept verbatim (no number/date coercion, unlike reading it as a workbook).
+ * @param {Buffer} buffer - CSV file buffer
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata: { encoding } }
+ */
+const parseCsv = async (buffer) => {
+  try {
+    console.log('Parsing CSV file...');
+    const { text, encoding } = decodeText(buffer);
+    const [header, ...rows] = splitCsvRows(text);
+
+    if (!header) {
+      throw new Error('CSV file is empty');
+    }
+
+    const pages = [];
+    let pageRows = [];
+    let pageLength = header.length;
+    let firstRow = 2; // 1-based CSV record number of the first data row (header is row 1)
+
+    const flushPage = (nextRow) => {
+      pages.push({
+        pageNumber: pages.length + 1,
+        text: [header, ...pageRows].join('\n'),
+        rowStart: firstRow,
+        rowEnd: nextRow - 1
+      });
+      pageRows = [];
+      pageLength = header.length;
+      firstRow = nextRow;
+    };
+
+    rows.forEach((row, index) => {
+      const rowNumber = index + 2;
+      if (pageRows.length > 0 && pageLength + row.length > CSV_CHARS_PER_PAGE) {
+        flushPage(rowNumber);
+      }
+      pageRows.push(row);
+      pageLength += row.length + 1;
+    });
+
+    if (pageRows.length > 0 || pages.length === 0) {
+      flushPage(rows.length + 2);
+    }
+
+    console.log(`CSV parsed: ${rows.length} rows, ${pages.length} pages`);
+
+    return {
+      text: [header, ...rows].join('\n'),
+      pages,
+      totalPages: pages.length,
+      metadata: { encoding }
+    };
+  } catch (error) {
+    console.error('CSV parsing error:', error.message);
+    throw new Error(`Failed to parse CSV file: ${error.message}`);
+  }
+};
+
+/**
+ * Parse email (.eml, .msg)
+ * The text starts with a From/To/Cc/Date/Subject block so headers are searchable;
+ * they are also returned as `metadata.email`. Attachments are returned as files
+ * for the caller to ingest as child documents.
+ * @param {Buffer} buffer - Email file buffer
+ * @param {string} detectedType - 'ole' for Outlook .msg, 'text' for RFC 822
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata, attachments }
+ */
+const parseEmail = async (buffer, detectedType) => {
+  try {
+    console.log(`Parsing email (${detectedType === 'ole' ? 'msg' : 'eml'})...`);
+    const email = detectedType === 'ole' ? await readMsg(buffer) : await readEml(buffer);
+    const { headers, attachments } = email;
+
+    const headerBlock = [
+      ['From', headers.from],
+      ['To', headers.to],
+      ['Cc', headers.cc],
+      ['Date', headers.date],
+      ['Subject', headers.subject],
+      ['Attachments', attachments.map(attachment => attachment.filename).join(', ')]
+    ]
+      .filter(([, value]) => value)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('\n');
+
+    const text = [headerBlock, (email.text || '').trim()].filter(Boolean).join('\n\n');
+
+    if (!text) {
+      throw new Error('Email contains no headers or body text');
+    }
+
+    console.log(`Email parsed: ${text.length} characters, ${attachments.length} attachments`);
+
+    const pseudoPages = splitTextIntoPages(text, 2000);
+
+    return {
+      text,
+      pages: pseudoPages,
+      totalPages: pseudoPages.length,
+      metadata: { email: headers },
+      attachments
+    };
+  } catch (error) {
+    console.error('Email parsing error:', error.message);
+    throw new Error(`Failed to parse email: ${error.message}`);
+  }
+};
+
+/**
+ * Parse ZIP archive
+ * The archive itself is indexed as a listing of its files; the files are returned
+ * as attachments (with their in-archive path) to be ingested as child documents.
+ * @param {Buffer} buffer - ZIP file buffer
+ * @param {object} options - { archiveDepth } nesting level of this archive (1 = uploaded directly)
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata, attachments }
+ */
+const parseArchive = async (buffer, options = {}) => {
+  console.log('Parsing ZIP archive...');
+  const depth = options.archiveDepth || 1;
+
+  // Limit violations are permanent errors; keep their codes
+  const files = await extractArchive(buffer, { depth });
+
+  if (files.length === 0) {
+    throw createPermanentError('ARCHIVE_EMPTY', 'Archive contains no files');
+  }
+
+  const text = [
+    `Archive contents (${files.length} files):`,
+    ...files.map(file => `${file.path} (${file.content ? `${file.content.length} bytes` : file.skippedReason})`)
+  ].join('\n');
+
+  const pseudoPages = splitTextIntoPages(text, 2000);
+
+  return {
+    text,
+    pages: pseudoPages,
+    totalPages: pseudoPages.length,
+    metadata: { archive: { fileCount: files.length, depth } },
+    attachments: files.map(file => ({
+      filename: file.filename,
+      mimeType: null,
+      content: file.content,
+      sourcePath: file.path,
+      skippedReason: file.skippedReason,
+      metadata: { archiveDepth: depth }
+    }))
+  };
+};
+
+// Parsed types whose text is about other documents (emails, archive listings), not a controlled document
+const NO_CONTROL_FIELD_TYPES = ['eml', 'msg', 'zip'];
+
+/**
+ * Route a file to the parser for its type
+ * @param {Buffer} buffer - File buffer
+ * @param {string} fileType - File extension
+ * @param {string} detectedType - Content type from fileTypeService
+ * @param {object} options - Parser options (see parseFile)
+ * @returns {Promise<object>} - Parser result
+ */
+const parseByType = async (buffer, fileType, detectedType, options) => {
+  switch (fileType) {
+    case 'pdf':
+      return await parsePDF(buffer, options);
+
+    case 'doc':
+    case 'docx':
+      return await parseWord(buffer, detectedType);
+
+    case 'xls':
+    case 'xlsx':
+    case 'ods':
+      return await parseExcel(buffer);
+
+    case 'pptx':
+      return await parsePowerPoint(buffer);
+
+    case 'odt':
+      return await parseOpenDocumentText(buffer);
+
+    case 'rtf':
+      return await parseRtf(buffer);
+
+    case 'html':
+    case 'htm':
+      return await parseHtml(buffer);
+
+    case 'csv':
+      return await parseCsv(buffer);
+
+    case 'eml':
+    case 'msg':
+      return await parseEmail(buffer, detectedType);
+
+    case 'zip':
+      return await parseArchive(buffer, options);
+
+    case 'png':
+    case 'jpg':
+    case 'jpeg':
+    case 'gif':
+      return await parseImage(buffer, options);
+
+    case 'txt':
+    case 'md':
+      // Markdown is kept as-is: headings and lists read fine as plain text
+      return await parseText(buffer);
+
+    default:
+      throw new Error(`Unsupported file type: ${fileType}`);
+  }
+};
+
 /**
  * Main parsing function - routes to appropriate parser based on file type
+ * Document control fields (document number, revision, effective date) found in the
+ * text or file properties are added as `metadata.control`.
  * @param {Buffer} buffer - File buffer
  * @param {string} mimeType - File MIME type
  * @param {string} fileType - File extension
- * @returns {Promise<object>} - { text, pages, totalPages }
+ * @param {object} options - { language, languageSource, archiveDepth } ISO 639-1 hint used for OCR and
+ *   where it came from ('document' or 'locale'), nesting level of an archive
+ * @returns {Promise<object>} - { text, pages, totalPages, metadata }, plus `attachments` for emails and archives
  */
-const parseFile = async (buffer, mimeType, fileType) => {
+const parseFile = async (buffer, mimeType, fileType, options = {}) => {
   console.log(`Parsing file type: ${fileType} (${mimeType})`);
 
   try {
-    switch (fileType.toLowerCase()) {
-      case 'pdf':
-        return await parsePDF(buffer);
+    // Don't trust the declared type: check the content before picking a parser
+    const detectedType = assertFileType(buffer, fileType);
+    console.log(`Detected content type: ${detectedType}`);
 
-      case 'doc':
-      case 'docx':
-        return await parseWord(buffer);
+    const result = await parseByType(buffer, fileType.toLowerCase(), detectedType, options);
 
-      case 'xls':
-      case 'xlsx':
-        return await parseExcel(buffer);
-
-      case 'png':
-      case 'jpg':
-      case 'jpeg':
-      case 'gif':
-        return await parseImage(buffer);
-
-      case 'txt':
-        return await parseText(buffer);
-
-      default:
-        throw new Error(`Unsupported file type: ${fileType}`);
+    if (!NO_CONTROL_FIELD_TYPES.includes(fileType.toLowerCase())) {
+      const control = extractControlFields(result.text, result.metadata?.properties);
+      if (control) {
+        console.log('Document control fields:', control);
+        result.metadata = { ...(result.metadata || {}), control };
+      }
     }
+
+    return result;
   } catch (error) {
     console.error('File parsing error:', error.message);
     throw error;
   }
 };
 
+/**
+ * Check that a URL points to an allowlisted storage host over HTTPS
+ * @param {string} url - File URL
+ * @throws {Error} - DOWNLOAD_URL_NOT_ALLOWED (not retryable)
+ */
+const assertAllowedUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createPermanentError('DOWNLOAD_URL_NOT_ALLOWED', `Invalid file URL: ${url}`);
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const allowed = ALLOWED_DOWNLOAD_HOSTS.some(entry => host === entry || host.endsWith(`.${entry}`));
+
+  if (parsed.protocol !== 'https:' || !allowed) {
+    throw createPermanentError('DOWNLOAD_URL_NOT_ALLOWED', `File host not allowed: ${parsed.protocol}//${host}`);
+  }
+};
+
 /**
  * Download file from URL (e.g., Cloudinary) and return buffer
+ * Only allowlisted HTTPS hosts are fetched (redirects included) and the body is
+ * streamed with a hard byte cap.
  * @param {string} url - File URL
+ * @param {object} options - { maxBytes, timeout }
  * @returns {Promise<Buffer>} - File buffer
  */
-const downloadFile = async (url) => {
+const downloadFile = async (url, { maxBytes = MAX_DOWNLOAD_BYTES, timeout = 60000 } = {}) => {
+  assertAllowedUrl(url);
+
   try {
     console.log('Downloading file from:', url);
-    const response = await axios.get(url, { responseType: 'arraybuffer' });
-    return Buffer.from(response.data);
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout,
+      maxRedirects: 3,
+      maxContentLength: maxBytes,
+      beforeRedirect: (options) => assertAllowedUrl(options.href)
+    });
+
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+    if (declaredLength > maxBytes) {
+      response.data.destroy();
+      throw createPermanentError('DOWNLOAD_TOO_LARGE', `File is ${declaredLength} bytes, limit is ${maxBytes}`);
+    }
+
+    return await new Promise((resolve, reject) => {
+      const parts = [];
+      let received = 0;
+
+      response.data.on('data', (part) => {
+        received += part.length;
+        if (received > maxBytes) {
+          response.data.destroy();
+          reject(createPermanentError('DOWNLOAD_TOO_LARGE', `File exceeds the ${maxBytes} byte limit`));
+          return;
+        }
+        parts.push(part);
+      });
+      response.data.on('end', () => resolve(Buffer.concat(parts)));
+      response.data.on('error', reject);
+    });
   } catch (error) {
     console.error('File download error:', error.message);
-    throw new Error(`Failed to download file: ${error.message}`);
+
+    if (error.retryable === false) {
+      throw error;
+    }
+    // Keep the original error so network failures stay retryable
+    throw new Error(`Failed to download file: ${error.message}`, { cause: error });
   }
 };
 
 /**
- * Helper: Split text into pseudo-pages based on character count
+ * Helper: Split text into pseudo-pages of at most `charsPerPage` characters
  * @param {string} text - Text to split
- * @param {number} charsPerPage - Characters per page
+ * @param {number} charsPerPage - Maximum characters per page
  * @returns {array} - Array of page objects
  */
 const splitTextIntoPages = (text, charsPerPage = 2000) => {
-  const pages = [];
-  let pageNumber = 1;
-  let start = 0;
+  // Pages end on paragraph/sentence boundaries, so no sentence is split across two pages
+  return splitTextAtBoundaries(text, charsPerPage).map((pageText, index) => ({
+    pageNumber: index + 1,
+    text: pageText
+  }));
+};
 
-  while (start < text.length) {
-    const end = start + charsPerPage;
-    const pageText = text.slice(start, end).trim();
+/**
+ * Build the parse result for formats without real pages (pseudo-pages by size)
+ * @param {string} text - Extracted text
+ * @param {string} label - Format name for logs and errors
+ * @returns {object} - { text, pages, totalPages }
+ */
+const buildTextResult = (text, label) => {
+  if (!text || text.trim().length === 0) {
+    throw new Error(`${label} document contains no extractable text`);
+  }
 
-    if (pageText) {
-      pages.push({
-        pageNumber,
-        text: pageText
-      });
-      pageNumber++;
-    }
+  console.log(`${label} parsed: ${text.length} characters`);
 
-    start = end;
-  }
+  const pseudoPages = splitTextIntoPages(text, 2000);
 
-  return pages;
+  return {
+    text: text.trim(),
+    pages: pseudoPages,
+    totalPages: pseudoPages.length
+  };
 };
 
 /**
- * Chunk text into smaller pieces for embedding
+ * Chunk text into smaller pieces for embedding, sized in characters
+ * Chunks end on paragraph, sentence or word boundaries; the overlap is made of whole
+ * sentences. Processing sizes chunks in tokens (chunkingService.chunkTextByTokens).
  * @param {string} text - Text to chunk
- * @param {number} chunkSize - Size of each chunk
- * @param {number} overlap - Overlap between chunks
+ * @param {number} chunkSize - Maximum size of each chunk in characters
+ * @param {number} overlap - Maximum overlap between chunks in characters
  * @returns {array} - Array of text chunks
  */
 const chunkText = (text, chunkSize = 800, overlap = 100) => {
-  const chunks = [];
-  let start = 0;
-
-  while (start < text.length) {
-    const end = start + chunkSize;
-    const chunk = text.slice(start, end).trim();
-
-    if (chunk.length > 50) { // Only meaningful chunks
-      chunks.push(chunk);
-    }
-
-    start = end - overlap;
-  }
-
-  return chunks;
+  return chunkTextByCharacters(text, chunkSize, overlap);
 };
 
 module.exports = {
@@ -323,6 +1015,13 @@ module.exports = {
   parsePDF,
   parseWord,
   parseExcel,
+  parsePowerPoint,
+  parseOpenDocumentText,
+  parseRtf,
+  parseHtml,
+  parseCsv,
+  parseEmail,
+  parseArchive,
   parseImage,
   parseText,
   downloadFile,
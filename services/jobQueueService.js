@@ -0,0 +1,190 @@
+const os = require('os');
+const documentRepository = require('../repositories/documentRepository');
+const { buildFailureUpdate } = require('./retryService');
+
+// Identifies this worker instance on claimed documents
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+// How long a claim stays valid without a heartbeat
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 5 * 60 * 1000; // 5 minutes
+
+// Renew well before the lease runs out
+const HEARTBEAT_MS = parseInt(process.env.JOB_HEARTBEAT_MS, 10) || Math.floor(LEASE_MS / 3);
+
+/**
+ * Claim a single document for this worker
+ * @param {string} documentId - Document UUID
+ * @returns {Promise<object|null>} - Claimed document, or null if already taken
+ */
+const claimJob = async (documentId) => {
+  const document = await documentRepository.claimDocument(documentId, WORKER_ID, LEASE_MS);
+
+  if (document) {
+    console.log(`🔒 Claimed document ${documentId} (worker ${WORKER_ID})`);
+  } else {
+    console.log(`⏭️ Document ${documentId} is not pending, skipping claim`);
+  }
+
+  return document;
+};
+
+/**
+ * Claim up to `limit` pending documents, oldest first
+ * Candidates taken by another worker in the meantime are skipped.
+ * @param {number} limit - Maximum number of documents to claim
+ * @returns {Promise<array>} - Claimed documents
+ */
+const claimPendingJobs = async (limit = 10) => {
+  const candidates = await documentRepository.getPendingDocuments(limit);
+  const claimed = [];
+
+  for (const candidate of candidates) {
+    const document = await documentRepository.claimDocument(candidate.id, WORKER_ID, LEASE_MS);
+    if (document) {
+      claimed.push(document);
+    }
+  }
+
+  console.log(`🔒 Claimed ${claimed.length}/${candidates.length} pending documents`);
+  return claimed;
+};
+
+/**
+ * Return documents whose lease expired (crashed or restarted worker) to 'pending'
+ * A lost lease counts as a failed attempt, so a document that crashes every worker
+ * (out of memory, native parser crash) ends in 'dead_letter' instead of looping forever.
+ * @returns {Promise<array>} - Reclaimed documents
+ */
+const reclaimExpiredJobs = async () => {
+  const expired = await documentRepository.findExpiredLeases();
+  const reclaimed = [];
+
+  for (const document of expired) {
+    const error = new Error(`Lease expired on worker ${document.worker_id || 'unknown'}`);
+    error.code = 'LEASE_EXPIRED';
+    error.retryable = true;
+
+    const updated = await documentRepository.reclaimDocument(document, buildFailureUpdate(document, error));
+    if (updated) {
+      reclaimed.push(updated);
+    }
+  }
+
+  if (reclaimed.length > 0) {
+    console.warn(`♻️ Reclaimed ${reclaimed.length} documents with expired leases:`,
+      reclaimed.map(d => `${d.id} (attempt ${d.attempt_count} → ${d.processing_status})`));
+  }
+
+  return reclaimed;
+};
+
+// Heartbeats of the documents this instance holds, by document ID
+const heartbeats = new Map();
+
+/**
+ * Hand all documents owned by this worker back to 'pending' so another instance picks them up
+ * Local jobs are marked as having lost their lease first, so an abandoned job cannot
+ * store its chunks after the document has been handed over. Documents whose processing
+ * had started count the abandoned run as a failed attempt; documents still waiting for
+ * a slot go back unchanged.
+ * @param {array} startedDocumentIds - Documents whose processing had started
+ * @returns {Promise<array>} - Requeued documents
+ */
+const requeueOwnJobs = async (startedDocumentIds = []) => {
+  heartbeats.forEach(heartbeat => heartbeat.markLost());
+
+  const owned = await documentRepository.getWorkerDocuments(WORKER_ID);
+  const requeued = [];
+
+  for (const document of owned) {
+    let updates = { processing_status: 'pending' };
+
+    if (startedDocumentIds.includes(document.id)) {
+      const error = new Error(`Worker ${WORKER_ID} shut down while processing`);
+      error.code = 'WORKER_SHUTDOWN';
+      error.retryable = true;
+      updates = buildFailureUpdate(document, error);
+    }
+
+    const released = await documentRepository.releaseDocument(document.id, WORKER_ID, updates);
+    if (released) {
+      requeued.push(released);
+    }
+  }
+
+  if (requeued.length > 0) {
+    console.warn(`↩️ Requeued ${requeued.length} unfinished documents:`,
+      requeued.map(d => `${d.id} (${d.processing_status})`));
+  }
+
+  return requeued;
+};
+
+/**
+ * Keep the lease on a claimed document alive while it is being processed
+ * @param {string} documentId - Document UUID
+ * @returns {object} - { stop, isLost, markLost } - stop the heartbeat / check whether the lease
+ *   was lost / give the lease up (shutdown)
+ */
+const startHeartbeat = (documentId) => {
+  let lost = false;
+
+  const timer = setInterval(async () => {
+    try {
+      const renewed = await documentRepository.renewLease(documentId, WORKER_ID, LEASE_MS);
+      if (!renewed) {
+        lost = true;
+        clearInterval(timer);
+        console.warn(`⚠️ Lost lease on document ${documentId}`);
+      }
+    } catch (error) {
+      // Keep trying; the lease only expires if heartbeats fail for LEASE_MS
+      console.error(`Heartbeat failed for document ${documentId}:`, error.message);
+    }
+  }, HEARTBEAT_MS);
+
+  // Don't keep the process alive just for heartbeats
+  timer.unref();
+
+  const heartbeat = {
+    stop: () => {
+      clearInterval(timer);
+      heartbeats.delete(documentId);
+    },
+    isLost: () => lost,
+    markLost: () => {
+      lost = true;
+      clearInterval(timer);
+    }
+  };
+
+  heartbeats.set(documentId, heartbeat);
+  return heartbeat;
+};
+
+/**
+ * Write the final document state and release this worker's lease
+ * @param {string} documentId - Document UUID
+ * @param {object} updates - Fields to update
+ * @returns {Promise<object|null>} - Updated document, or null if the lease was lost
+ */
+const releaseJob = async (documentId, updates) => {
+  const document = await documentRepository.releaseDocument(documentId, WORKER_ID, updates);
+
+  if (!document) {
+    console.warn(`⚠️ Document ${documentId} is no longer owned by worker ${WORKER_ID}, result discarded`);
+  }
+
+  return document;
+};
+
+module.exports = {
+  claimJob,
+  claimPendingJobs,
+  reclaimExpiredJobs,
+  requeueOwnJobs,
+  startHeartbeat,
+  releaseJob,
+  WORKER_ID,
+  LEASE_MS
+};
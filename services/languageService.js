@@ -42,6 +42,12 @@ const LANGUAGE_MAP = {
   'ell': 'el'  // Greek
 };
 
+// ISO 639-1 → Tesseract traineddata name (mostly the inverse of LANGUAGE_MAP)
+const OCR_LANGUAGE_MAP = {
+  ...Object.fromEntries(Object.entries(LANGUAGE_MAP).map(([iso3, iso1]) => [iso1, iso3])),
+  'zh': 'chi_sim' // Tesseract splits Chinese by script
+};
+
 // Supported languages for the chatbot
 const SUPPORTED_LANGUAGES = {
   'en': { name: 'English', nativeName: 'English', flag: '🇬🇧' },
@@ -137,6 +143,20 @@ const isLanguageSupported = (langCode) => {
   return Object.keys(SUPPORTED_LANGUAGES).includes(langCode);
 };
 
+/**
+ * Get the Tesseract OCR language for a language code or locale
+ * @param {string} langCode - ISO 639-1 code or locale (e.g. 'th', 'vi-VN')
+ * @returns {string|null} - Tesseract language (e.g. 'tha'), or null if unknown
+ */
+const getOcrLanguage = (langCode) => {
+  if (!langCode) {
+    return null;
+  }
+
+  const base = String(langCode).toLowerCase().split(/[-_]/)[0];
+  return OCR_LANGUAGE_MAP[base] || null;
+};
+
 /**
  * Get all supported languages
  * @returns {array} - Array of language objects
@@ -208,6 +228,7 @@ module.exports = {
   detectLanguage,
   getLanguageInfo,
   isLanguageSupported,
+  getOcrLanguage,
   getSupportedLanguages,
   getSystemPrompt,
   formatResponse,
@@ -0,0 +1,305 @@
+const iconv = require('iconv-lite');
+const { decodeText } = require('./textEncodingService');
+
+// RTF destinations whose content is not document text
+const RTF_SKIP_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info',
+  'pict', 'object', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+  'rsidtbl', 'generator', 'xmlnstbl', 'mmathPr', 'revtbl', 'filetbl', 'fldinst'
+]);
+
+// Header/footer destinations: all pages, left, right and first page (\headery is a distance, not one)
+const RTF_HEADER_FOOTER = /^(?:header|footer)[lrf]?$/;
+
+// RTF control words that map to characters
+const RTF_CONTROL_CHARS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n\n',
+  page: '\n\n',
+  row: '\n',
+  cell: '\t',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+/**
+ * Tidy extracted text: trim lines, collapse runs of blank lines
+ * @param {string} text - Raw extracted text
+ * @returns {string} - Cleaned text
+ */
+const normalizeExtractedText = (text) => {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Extract plain text from an RTF document
+ * Handles groups, skipped destinations, \'hh bytes in the document code page
+ * (\ansicpg) and \uN Unicode escapes with their \ucN fallback characters.
+ * @param {Buffer} buffer - RTF file buffer
+ * @returns {string} - Plain text
+ */
+const rtfToText = (buffer) => {
+  const rtf = buffer.toString('latin1');
+  const stack = [];
+  let state = { skip: false, uc: 1 };
+  let codePage = 'windows-1252';
+  let output = '';
+  let bytes = []; // Pending \'hh bytes, decoded together (multi-byte code pages)
+  let fallbackToSkip = 0;
+
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      output += iconv.decode(Buffer.from(bytes), codePage);
+      bytes = [];
+    }
+  };
+
+  const emit = (chars) => {
+    flushBytes();
+    if (!state.skip) output += chars;
+  };
+
+  let i = 0;
+  while (i < rtf.length) {
+    const ch = rtf[i];
+
+    if (ch === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state };
+      i++;
+      continue;
+    }
+
+    if (ch === '}') {
+      flushBytes();
+      state = stack.pop() || state;
+      i++;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const next = rtf[i + 1];
+
+      // \'hh - byte in the document code page
+      if (next === '\'') {
+        const byte = parseInt(rtf.substr(i + 2, 2), 16);
+        i += 4;
+        if (fallbackToSkip > 0) {
+          fallbackToSkip--;
+        } else if (!state.skip && !Number.isNaN(byte)) {
+          bytes.push(byte);
+        }
+        continue;
+      }
+
+      // Control symbols
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+        continue;
+      }
+      if (next === '~') { emit(' '); i += 2; continue; }
+      if (next === '-') { i += 2; continue; } // optional hyphen
+      if (next === '_') { emit('-'); i += 2; continue; }
+      if (next === '*') { state.skip = true; i += 2; continue; }
+      if (next === '\n' || next === '\r') { emit('\n'); i += 2; continue; }
+
+      const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+      if (!match) {
+        i++;
+        continue;
+      }
+
+      const [token, word, param] = match;
+      i += 1 + token.length;
+
+      if (RTF_SKIP_DESTINATIONS.has(word) || RTF_HEADER_FOOTER.test(word)) {
+        // Headers/footers repeat on every page; leave them out of the body text
+        flushBytes();
+        state.skip = true;
+      } else if (word === 'ansicpg' && param) {
+        codePage = iconv.encodingExists(`cp${param}`) ? `cp${param}` : codePage;
+      } else if (word === 'uc') {
+        state.uc = parseInt(param, 10) || 0;
+      } else if (word === 'u' && param !== undefined) {
+        let code = parseInt(param, 10);
+        if (code < 0) code += 65536;
+        emit(String.fromCharCode(code));
+        fallbackToSkip = state.uc;
+      } else if (RTF_CONTROL_CHARS[word] !== undefined) {
+        emit(RTF_CONTROL_CHARS[word]);
+      }
+      continue;
+    }
+
+    if (ch === '\r' || ch === '\n') {
+      i++;
+      continue;
+    }
+
+    if (fallbackToSkip > 0) {
+      fallbackToSkip--;
+    } else {
+      emit(ch);
+    }
+    i++;
+  }
+
+  flushBytes();
+  return normalizeExtractedText(output);
+};
+
+// Named HTML entities common in exported documents (numeric ones are decoded generically)
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±',
+  micro: 'µ', middot: '·', sect: '§', para: '¶', times: '×',
+  divide: '÷', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', bull: '•', hellip: '…', euro: '€',
+  le: '≤', ge: '≥', ne: '≠'
+};
+
+// Tags that end a line of text
+const HTML_BLOCK_TAGS = /^(p|div|br|li|tr|h[1-6]|table|ul|ol|dl|dt|dd|blockquote|pre|section|article|header|footer|hr|title)$/i;
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+const decodeHtmlEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1].toLowerCase() === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[ref.toLowerCase()] ?? entity;
+  });
+};
+
+/**
+ * Decode an HTML buffer using its BOM or <meta charset>, detecting the encoding otherwise
+ * @param {Buffer} buffer - HTML file buffer
+ * @returns {string} - Decoded HTML
+ */
+const decodeHtmlBuffer = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return iconv.decode(buffer, 'utf16le');
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return iconv.decode(buffer, 'utf16be');
+
+  const head = buffer.subarray(0, 2048).toString('latin1');
+  const charset = /<meta[^>]+charset=["']?([\w-]+)/i.exec(head)?.[1];
+
+  if (charset && iconv.encodingExists(charset)) {
+    return iconv.decode(buffer, charset);
+  }
+
+  return decodeText(buffer).text;
+};
+
+/**
+ * Extract plain text from an HTML document
+ * Scripts, styles and comments are dropped; block elements become line breaks
+ * and table cells are tab-separated.
+ * @param {Buffer} buffer - HTML file buffer
+ * @returns {string} - Plain text
+ */
+const htmlToText = (buffer) => {
+  const html = decodeHtmlBuffer(buffer);
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|xml|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ') // Source whitespace is not significant
+    .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => {
+      if (HTML_BLOCK_TAGS.test(name)) return '\n';
+      if (/^t[dh]$/i.test(name)) return tag[1] === '/' ? '\t' : '';
+      return '';
+    })
+    .replace(/<[^>]*>/g, '');
+
+  return normalizeExtractedText(
+    decodeHtmlEntities(text)
+      .split('\n')
+      .map(line => line.replace(/ *\t */g, '\t').replace(/ {2,}/g, ' ').trim())
+      .join('\n')
+  );
+};
+
+/**
+ * Extract the text of a PowerPoint slide or notes part (DrawingML)
+ * Only <a:t> runs are text; fields (slide numbers, dates) are dropped and
+ * table cells are tab-separated.
+ * @param {string} xml - Slide XML
+ * @returns {string} - Slide text
+ */
+const slideXmlToText = (xml) => {
+  const body = xml.replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '');
+  const tokenPattern = /<a:t(?:\s[^>]*)?>([^<]*)<\/a:t>|<a:br\b[^>]*\/>|<\/a:p>|<\/a:tc>|<\/a:tr>/g;
+  let output = '';
+  let match;
+
+  while ((match = tokenPattern.exec(body)) !== null) {
+    const [token, runText] = match;
+
+    if (runText !== undefined) {
+      output += decodeHtmlEntities(runText);
+    } else if (token === '</a:tc>') {
+      output = output.replace(/\n$/, '') + '\t';
+    } else {
+      output += '\n';
+    }
+  }
+
+  return normalizeExtractedText(output);
+};
+
+/**
+ * Extract the text of an OpenDocument content.xml (odt)
+ * Tracked deletions and comments are dropped; paragraphs and headings become
+ * lines and table cells are tab-separated.
+ * @param {string} xml - content.xml
+ * @returns {string} - Document text
+ */
+const odfContentToText = (xml) => {
+  const body = (/<office:body>([\s\S]*)<\/office:body>/.exec(xml) || [null, xml])[1];
+
+  const text = body
+    .replace(/<text:tracked-changes>[\s\S]*?<\/text:tracked-changes>/g, '')
+    .replace(/<office:annotation\b[\s\S]*?<\/office:annotation>/g, '')
+    .replace(/<text:s\b[^>]*?text:c="(\d+)"[^>]*\/>/g, (tag, count) => ' '.repeat(parseInt(count, 10)))
+    .replace(/<text:s\b[^>]*\/>/g, ' ')
+    .replace(/<text:tab\b[^>]*\/>/g, '\t')
+    .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+    .replace(/<\/text:[ph]>\s*<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-cell>/g, '\t')
+    .replace(/<\/table:table-row>/g, '\n')
+    .replace(/<\/text:[ph]>/g, '\n')
+    .replace(/<\/text:list-item>/g, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeExtractedText(decodeHtmlEntities(text));
+};
+
+module.exports = {
+  rtfToText,
+  htmlToText,
+  slideXmlToText,
+  odfContentToText,
+  decodeHtmlEntities,
+  normalizeExtractedText
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const Tesseract = require('tesseract.js'); // For OCR on images
+const { getOcrLanguage } = require('./languageService');
+
+// Directory with <lang>.traineddata(.gz) files (tessdata/ in the project by default, so OCR
+// works offline); set a URL (e.g. https://tessdata.projectnaptha.com/4.0.0) to fetch them instead.
+// Languages missing from a local directory are fetched from the jsDelivr CDN.
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || path.join(__dirname, '..', 'tessdata');
+const OCR_LANG_IS_REMOTE = /^https?:\/\//i.test(OCR_LANG_PATH);
+const OCR_LANG_GZIP = process.env.OCR_LANG_GZIP !== 'false';
+
+// Used when there is no hint and script detection is off or inconclusive
+const OCR_DEFAULT_LANGUAGE = process.env.OCR_DEFAULT_LANGUAGE || 'eng';
+
+// Script detection needs osd.traineddata; it runs in its own legacy-engine worker, started
+// only for pages that are actually detected
+const OCR_DETECT_SCRIPT = process.env.OCR_DETECT_SCRIPT !== 'false';
+
+// Tesseract OSD script names → traineddata to recognize them with
+const SCRIPT_LANGUAGES = {
+  Latin: null, // keep the default / hint
+  Han: 'chi_sim',
+  Japanese: 'jpn',
+  Hiragana: 'jpn',
+  Katakana: 'jpn',
+  Hangul: 'kor',
+  Thai: 'tha',
+  Cyrillic: 'rus',
+  Arabic: 'ara',
+  Devanagari: 'hin',
+  Tamil: 'tam',
+  Sinhala: 'sin',
+  Bengali: 'ben',
+  Greek: 'ell',
+  Hebrew: 'heb',
+  Khmer: 'khm',
+  Myanmar: 'mya',
+  Thaana: 'div'
+};
+
+/**
+ * Where to load traineddata for a language string from
+ * @param {string} language - Tesseract language string (e.g. 'tha+eng')
+ * @returns {string|null} - OCR_LANG_PATH, or null (CDN) when a file is missing from the local directory
+ */
+const getLanguageDataPath = (language) => {
+  if (OCR_LANG_IS_REMOTE) {
+    return OCR_LANG_PATH;
+  }
+
+  const fileName = lang => `${lang}.traineddata${OCR_LANG_GZIP ? '.gz' : ''}`;
+  const isLocal = language.split('+').every(lang => fs.existsSync(path.join(OCR_LANG_PATH, fileName(lang))));
+
+  return isLocal ? OCR_LANG_PATH : null;
+};
+
+/**
+ * Start a Tesseract worker
+ * An explicit errorHandler keeps worker failures from being thrown as uncaught
+ * exceptions. Languages are loaded with reinitialize() rather than passed to
+ * createWorker(), whose promise never settles when traineddata fails to load.
+ * @param {object} options - { langPath, legacy } traineddata location (null = CDN); legacy loads
+ *   the legacy engine and full traineddata (script detection)
+ * @returns {Promise<object>} - Tesseract worker
+ */
+const createOcrWorker = (options = {}) => {
+  return Tesseract.createWorker(
+    [],
+    options.legacy ? Tesseract.OEM.TESSERACT_ONLY : Tesseract.OEM.LSTM_ONLY,
+    {
+      ...(options.langPath && {
+        langPath: options.langPath
+      }),
+      ...(options.langPath && !OCR_LANG_IS_REMOTE && {
+        cacheMethod: 'none' // Already on disk, don't copy into the working directory
+      }),
+      gzip: OCR_LANG_GZIP,
+      ...(options.legacy && {
+        legacyCore: true,
+        legacyLang: true
+      }),
+      logger: info => {
+        if (info.status === 'recognizing text') {
+          console.log(`OCR progress: ${Math.round(info.progress * 100)}%`);
+        }
+      },
+      errorHandler: error => console.error('Tesseract worker error:', error)
+    }
+  );
+};
+
+/**
+ * Run a task with Tesseract and terminate the workers afterwards
+ * The task gets an OCR session: `getWorker(language)` returns the LSTM worker for the
+ * location of that language's traineddata; `getDetector()` starts the script detection
+ * worker on first use. Every worker started is terminated, also when loading data failed.
+ * @param {function} task - async (ocr) => result, ocr = { getWorker, getDetector }
+ * @returns {Promise<any>} - Task result
+ */
+const withOcrWorker = async (task) => {
+  const started = [];
+  const workers = new Map();
+  let detector = null;
+
+  const startWorker = (options) => {
+    const worker = createOcrWorker(options);
+    started.push(worker);
+    return worker;
+  };
+
+  const getWorker = (language) => {
+    const langPath = getLanguageDataPath(language);
+    if (!workers.has(langPath)) {
+      workers.set(langPath, startWorker({ langPath }));
+    }
+    return workers.get(langPath);
+  };
+
+  const getDetector = () => {
+    detector = detector || startWorker({ legacy: true, langPath: getLanguageDataPath('osd') })
+      .then(async (detectorWorker) => {
+        await detectorWorker.reinitialize('osd', Tesseract.OEM.TESSERACT_ONLY);
+        return detectorWorker;
+      });
+    return detector;
+  };
+
+  try {
+    return await task({ getWorker, getDetector });
+  } finally {
+    const results = await Promise.allSettled(started);
+    await Promise.all(results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.terminate().catch(() => {})));
+  }
+};
+
+/**
+ * Detect the script of an image with Tesseract OSD
+ * @param {object} ocr - OCR session from withOcrWorker
+ * @param {Buffer} buffer - Image buffer
+ * @returns {Promise<string|null>} - Script name (e.g. 'Thai'), or null if unavailable
+ */
+const detectScript = async (ocr, buffer) => {
+  try {
+    const detector = await ocr.getDetector();
+    const { data } = await detector.detect(buffer);
+    console.log(`OCR script detection: ${data.script} (confidence ${data.script_confidence})`);
+    return data.script || null;
+  } catch (error) {
+    console.warn('OCR script detection unavailable:', error.message || error);
+    return null;
+  }
+};
+
+/**
+ * Pick the Tesseract language(s) for an image
+ * A hint set on the document wins. Otherwise the detected script decides; the uploader's
+ * locale (browser Accept-Language) is only used for Latin script or when detection is
+ * off or inconclusive. English is added to non-English models since compliance forms
+ * usually mix in Latin text.
+ * @param {object} ocr - OCR session from withOcrWorker
+ * @param {Buffer} buffer - Image buffer
+ * @param {object} options - { language, languageSource } ISO 639-1 hint (e.g. 'th') and where it
+ *   came from: 'document' (set by the uploader) or 'locale' (browser language)
+ * @returns {Promise<string>} - Tesseract language string (e.g. 'tha+eng')
+ */
+const resolveOcrLanguage = async (ocr, buffer, options = {}) => {
+  const hinted = getOcrLanguage(options.language);
+  let language = options.languageSource === 'document' ? hinted : null;
+
+  if (!language && OCR_DETECT_SCRIPT) {
+    const script = await detectScript(ocr, buffer);
+    language = SCRIPT_LANGUAGES[script] || null;
+  }
+
+  language = language || hinted || OCR_DEFAULT_LANGUAGE;
+  return language === 'eng' ? language : `${language}+eng`;
+};
+
+/**
+ * Run Tesseract OCR on an image
+ * The language is resolved for every image, so scanned pages in different scripts
+ * each get the right traineddata.
+ * @param {object} ocr - OCR session from withOcrWorker
+ * @param {Buffer} buffer - Image buffer (PNG, JPEG, GIF)
+ * @param {object} options - { language, languageSource } see resolveOcrLanguage
+ * @returns {Promise<object>} - { text, language } recognized text (trimmed) and traineddata used
+ */
+const recognizeText = async (ocr, buffer, options = {}) => {
+  const language = await resolveOcrLanguage(ocr, buffer, options);
+  const worker = await ocr.getWorker(language);
+
+  // No-op when the worker already has this language loaded; load failures reject with a string
+  await worker.reinitialize(language, Tesseract.OEM.LSTM_ONLY).catch(error => {
+    throw new Error(`Could not load OCR language data for ${language}: ${error.message || error}`);
+  });
+
+  // Tesseract.js can work with buffers
+  const { data: { text } } = await worker.recognize(buffer);
+  return { text: (text || '').trim(), language };
+};
+
+module.exports = {
+  withOcrWorker,
+  recognizeText,
+  detectScript,
+  resolveOcrLanguage,
+  SCRIPT_LANGUAGES
+};
@@ -0,0 +1,68 @@
+// Render PDF pages to PNG images (for OCR of scanned pages)
+// pdf.js draws through its Node canvas factory, which uses @napi-rs/canvas.
+
+// Render scale: 2 ≈ 144 DPI, enough for Tesseract on typical scans
+const RASTER_SCALE = parseFloat(process.env.PDF_RASTER_SCALE) || 2;
+
+// pdfjs-dist is ESM-only; load it once on first use
+let pdfjsPromise = null;
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * Rasterize selected pages of a PDF, one at a time
+ * The document is opened once; each image is yielded before the next page is
+ * rendered, so only one page image is held in memory. A page that fails to render
+ * is yielded with its error and the next page is rendered.
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {array} pageNumbers - 1-based page numbers to render
+ * @param {number} scale - Render scale (1 = 72 DPI)
+ * @returns {AsyncGenerator<object>} - { pageNumber, image } PNG buffer, or { pageNumber, error }
+ */
+const rasterizePdfPages = async function* (buffer, pageNumbers, scale = RASTER_SCALE) {
+  const pdfjs = await loadPdfjs();
+
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  try {
+    for (const pageNumber of pageNumbers) {
+      let image;
+
+      try {
+        const page = await doc.getPage(pageNumber);
+        const viewport = page.getViewport({ scale });
+        const { canvas, context } = doc.canvasFactory.create(
+          Math.ceil(viewport.width),
+          Math.ceil(viewport.height)
+        );
+
+        await page.render({ canvasContext: context, viewport, canvas }).promise;
+        image = canvas.toBuffer('image/png');
+
+        // Free page resources before rendering the next one
+        page.cleanup();
+        doc.canvasFactory.destroy({ canvas, context });
+      } catch (error) {
+        yield { pageNumber, error };
+        continue;
+      }
+
+      yield { pageNumber, image };
+    }
+  } finally {
+    await doc.destroy();
+  }
+};
+
+module.exports = {
+  rasterizePdfPages
+};
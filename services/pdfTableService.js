@@ -0,0 +1,335 @@
+const { TABLE_CHUNK_TOKENS } = require('./spreadsheetService');
+const { countTokens } = require('./chunkingService');
+
+// Horizontal gap (in font sizes) between text items that separates two cells
+const CELL_GAP_EM = parseFloat(process.env.PDF_TABLE_CELL_GAP_EM) || 0.8;
+
+// A table needs a header row and at least this many rows in total
+const TABLE_MIN_ROWS = parseInt(process.env.PDF_TABLE_MIN_ROWS, 10) || 3;
+
+// Longest line above a table that is taken as its caption
+const MAX_CAPTION_CHARS = 120;
+
+// Cells with this many words read as running text (a column of prose, not a table cell)
+const PROSE_CELL_WORDS = 6;
+
+// Labels and values: a few words, or a number with its unit ("25 Nm", "± 0.05 mm")
+const SHORT_CELL_WORDS = 3;
+const NUMERIC_CELL = /^[±+\-–~<>≤≥]?\s*\d[\d.,:/\s]*\S{0,4}$/;
+
+/**
+ * Group pdf.js text items into lines of cells
+ * Items on (about) the same baseline form a line; within a line, items separated
+ * by a wide gap start a new cell.
+ * @param {array} items - pdf.js text content items
+ * @returns {array} - [{ y, fontSize, cells: [{ text, x0, x1 }] }] top to bottom
+ */
+const groupLines = (items) => {
+  const positioned = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => ({
+      text: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+    }))
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+
+  for (const item of positioned) {
+    const line = lines[lines.length - 1];
+
+    if (line && Math.abs(line.y - item.y) <= line.fontSize * 0.3) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  return lines.map(line => {
+    const cells = [];
+
+    line.items
+      .sort((a, b) => a.x - b.x)
+      .forEach(item => {
+        const cell = cells[cells.length - 1];
+        const gap = cell ? item.x - cell.x1 : Infinity;
+
+        if (cell && gap < line.fontSize * CELL_GAP_EM) {
+          const needsSpace = gap > line.fontSize * 0.1 && !/\s$/.test(cell.text) && !/^\s/.test(item.text);
+          cell.text += (needsSpace ? ' ' : '') + item.text;
+          cell.x1 = Math.max(cell.x1, item.x + item.width);
+        } else {
+          cells.push({ text: item.text, x0: item.x, x1: item.x + item.width });
+        }
+      });
+
+    cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+
+    return { y: line.y, fontSize: line.fontSize, cells };
+  });
+};
+
+/**
+ * Derive column bands from the cells of multi-cell rows
+ * Cell extents are merged where they overlap; the whitespace between the merged
+ * bands separates the columns.
+ * @param {array} rows - Lines with at least two cells
+ * @returns {array} - [{ x0, x1 }] left to right
+ */
+const findColumns = (rows) => {
+  const spans = rows
+    .flatMap(row => row.cells.map(cell => ({ x0: cell.x0, x1: cell.x1 })))
+    .sort((a, b) => a.x0 - b.x0);
+
+  const columns = [];
+  for (const span of spans) {
+    const column = columns[columns.length - 1];
+    if (column && span.x0 <= column.x1) {
+      column.x1 = Math.max(column.x1, span.x1);
+    } else {
+      columns.push({ ...span });
+    }
+  }
+
+  return columns;
+};
+
+/**
+ * Place the cells of a line into columns (cells sharing a column are joined)
+ * @param {object} line - Line from groupLines
+ * @param {array} columns - Column bands
+ * @returns {array} - Cell texts, one per column ('' for empty cells)
+ */
+const toRow = (line, columns) => {
+  const row = columns.map(() => '');
+
+  for (const cell of line.cells) {
+    const center = (cell.x0 + cell.x1) / 2;
+    let index = columns.findIndex(column => center >= column.x0 && center <= column.x1);
+    if (index < 0) {
+      // Closest band for cells that fall in a gap
+      index = columns
+        .map((column, i) => ({ i, distance: Math.min(Math.abs(center - column.x0), Math.abs(center - column.x1)) }))
+        .sort((a, b) => a.distance - b.distance)[0].i;
+    }
+    row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+  }
+
+  return row;
+};
+
+/**
+ * Check whether table rows are really columns of prose (two-column page layouts)
+ * @param {array} rows - Rows of cell texts
+ * @param {number} columnCount - Number of columns
+ * @returns {boolean} - True if most cells are sentences, or two columns hold no label or value
+ */
+const isProse = (rows, columnCount) => {
+  const cells = rows.flat().filter(Boolean);
+  const words = cell => cell.split(' ').length;
+
+  if (cells.filter(cell => words(cell) >= PROSE_CELL_WORDS).length * 2 > cells.length) {
+    return true;
+  }
+  return columnCount === 2 && !cells.some(cell => words(cell) <= SHORT_CELL_WORDS || NUMERIC_CELL.test(cell));
+};
+
+/**
+ * Try to read a table from a run of lines
+ * Single-cell lines directly below a row that fit inside one column are wrapped cell
+ * text and are appended to that row.
+ * @param {array} run - Consecutive lines (first line has several cells)
+ * @returns {object|null} - { header, rows, lineCount } or null if the run is not a table
+ */
+const readTable = (run) => {
+  const columns = findColumns(run.filter(line => line.cells.length >= 2));
+  if (columns.length < 2) {
+    return null;
+  }
+
+  // Columns are separated by clear gutters, not by a wide word space
+  const minGutter = run[0].fontSize * CELL_GAP_EM;
+  if (columns.some((column, i) => i > 0 && column.x0 - columns[i - 1].x1 < minGutter)) {
+    return null;
+  }
+
+  const rows = [];
+  let lineCount = 0;
+
+  for (const line of run) {
+    if (line.cells.length >= 2) {
+      rows.push(toRow(line, columns));
+    } else {
+      const cell = line.cells[0];
+      const tolerance = line.fontSize;
+      const index = columns.findIndex(column => cell.x0 >= column.x0 - tolerance && cell.x1 <= column.x1 + tolerance);
+      if (index < 0 || rows.length === 0) break;
+
+      const previous = rows[rows.length - 1];
+      previous[index] = previous[index] ? `${previous[index]} ${cell.text}` : cell.text;
+    }
+    lineCount++;
+  }
+
+  if (rows.length < TABLE_MIN_ROWS || isProse(rows, columns.length)) {
+    return null;
+  }
+
+  return { header: rows[0], rows: rows.slice(1), lineCount };
+};
+
+/**
+ * Split a PDF page into text and table blocks
+ * Tables are runs of lines whose cells line up in at least two columns and are not
+ * sentences; the first row is taken as the column header. A short line right above
+ * a table is kept as its caption.
+ * @param {array} items - pdf.js text content items of the page
+ * @returns {object} - { blocks: [{ type: 'text', text } | { type: 'table', caption, header, rows }], tableCount,
+ *   lines: [{ text, y }] } lines of the text blocks with their baseline (PDF units, from the bottom)
+ */
+const extractPageLayout = (items) => {
+  const lines = groupLines(items);
+  const blocks = [];
+  const textPositions = [];
+  let textLines = [];
+  let tableCount = 0;
+
+  const flushText = () => {
+    if (textLines.length > 0) {
+      const texts = textLines.map(line => line.cells.map(cell => cell.text).join(' '));
+      textLines.forEach((line, i) => textPositions.push({ text: texts[i], y: line.y }));
+      blocks.push({ type: 'text', text: texts.join('\n') });
+      textLines = [];
+    }
+  };
+
+  let index = 0;
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.cells.length < 2) {
+      textLines.push(line);
+      index++;
+      continue;
+    }
+
+    // Collect the run: following multi-cell lines, and single-cell lines right below a row
+    const run = [line];
+    for (let next = index + 1; next < lines.length; next++) {
+      const previous = run[run.length - 1];
+      const gap = previous.y - lines[next].y;
+      const maxGap = previous.fontSize * (lines[next].cells.length >= 2 ? 3 : 1.5);
+      if (gap > maxGap) break;
+      run.push(lines[next]);
+    }
+
+    const table = readTable(run);
+    if (!table) {
+      textLines.push(line);
+      index++;
+      continue;
+    }
+
+    const above = textLines[textLines.length - 1];
+    const captionLine = above && above.y - line.y <= above.fontSize * 3 ? above : null;
+    const caption = captionLine ? captionLine.cells.map(cell => cell.text).join(' ') : null;
+
+    flushText();
+    blocks.push({
+      type: 'table',
+      caption: caption && caption.length <= MAX_CAPTION_CHARS ? caption : null,
+      header: table.header,
+      rows: table.rows
+    });
+    tableCount++;
+    index += table.lineCount;
+  }
+  flushText();
+
+  return { blocks, tableCount, lines: textPositions };
+};
+
+/**
+ * Format one table row as a Markdown line
+ * @param {array} cells - Cell texts
+ * @returns {string} - Markdown row
+ */
+const formatRow = (cells) => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+
+/**
+ * Format table rows as Markdown
+ * @param {array} header - Header cells
+ * @param {array} rows - Data rows
+ * @returns {string} - Markdown table
+ */
+const toMarkdown = (header, rows) => {
+  return [formatRow(header), `|${' --- |'.repeat(header.length)}`, ...rows.map(formatRow)].join('\n');
+};
+
+/**
+ * Plain page text for a layout, tables rendered as Markdown
+ * @param {array} blocks - Blocks from extractPageLayout
+ * @returns {string} - Page text
+ */
+const layoutToText = (blocks) => {
+  return blocks
+    .map(block => block.type === 'table' ? toMarkdown(block.header, block.rows) : block.text)
+    .join('\n\n');
+};
+
+/**
+ * Split a table into Markdown chunks of whole rows, each repeating the header
+ * @param {object} table - Table block from extractPageLayout
+ * @param {number} tableIndex - 1-based position of the table on its page
+ * @returns {array} - [{ text, metadata: { contentType, tableIndex, caption, columns, rowStart, rowEnd } }]
+ */
+const buildTableChunks = (table, tableIndex) => {
+  const prefix = table.caption ? `${table.caption}\n` : '';
+  const headerTokens = countTokens(prefix + toMarkdown(table.header, []));
+  const chunks = [];
+  let group = [];
+  let groupStart = 1;
+  let groupTokens = headerTokens;
+
+  const flush = () => {
+    if (group.length === 0) return;
+
+    chunks.push({
+      text: prefix + toMarkdown(table.header, group),
+      metadata: {
+        contentType: 'table',
+        tableIndex,
+        caption: table.caption,
+        columns: table.header,
+        rowStart: groupStart,
+        rowEnd: groupStart + group.length - 1
+      }
+    });
+
+    groupStart += group.length;
+    group = [];
+    groupTokens = headerTokens;
+  };
+
+  for (const row of table.rows) {
+    const rowTokens = countTokens(formatRow(row)) + 1;
+    if (group.length > 0 && groupTokens + rowTokens > TABLE_CHUNK_TOKENS) {
+      flush();
+    }
+    group.push(row);
+    groupTokens += rowTokens;
+  }
+  flush();
+
+  return chunks;
+};
+
+module.exports = {
+  extractPageLayout,
+  layoutToText,
+  buildTableChunks,
+  toMarkdown
+};
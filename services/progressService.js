@@ -0,0 +1,155 @@
+const documentRepository = require('../repositories/documentRepository');
+
+// Processing stages in order, with their share of the overall percentage
+const STAGES = {
+  download: 5,
+  parse: 10,
+  chunk: 5,
+  embed: 75,
+  store: 5
+};
+
+const STAGE_ORDER = Object.keys(STAGES);
+
+// Minimum time between progress writes within a stage (stage changes are always written)
+const PROGRESS_WRITE_INTERVAL_MS = parseInt(process.env.PROGRESS_WRITE_INTERVAL_MS, 10) || 2000;
+
+/**
+ * Overall percentage for a stage and the fraction of it that is done
+ * @param {string} stage - Current stage
+ * @param {number} fraction - Fraction of the stage completed (0 to 1)
+ * @returns {number} - Overall percentage (0 to 100)
+ */
+const computePercent = (stage, fraction) => {
+  let percent = 0;
+
+  for (const name of STAGE_ORDER) {
+    if (name === stage) {
+      percent += STAGES[name] * Math.min(Math.max(fraction, 0), 1);
+      break;
+    }
+    percent += STAGES[name];
+  }
+
+  return Math.round(percent);
+};
+
+/**
+ * Create a progress tracker for one processing run of a document
+ * Writes the current stage, overall percentage and per-stage timings to the
+ * documents table; writes are serialized and throttled. Writes only land while
+ * `workerId` owns the document; once the lease is lost the tracker stops writing.
+ * @param {string} documentId - Document UUID
+ * @param {string} workerId - Worker that claimed the document
+ * @returns {object} - { startStage, update, finish, getTimings }
+ */
+const createProgressTracker = (documentId, workerId) => {
+  const timings = {};
+  let currentStage = null;
+  let lastWriteAt = 0;
+  let writeChain = Promise.resolve();
+  let leaseLost = false;
+
+  const write = (updates) => {
+    lastWriteAt = Date.now();
+    writeChain = writeChain
+      .then(async () => {
+        if (leaseLost) return;
+
+        const updated = await documentRepository.updateClaimedDocument(documentId, workerId, updates);
+        if (!updated) {
+          leaseLost = true;
+          console.warn(`⚠️ Document ${documentId} is no longer owned by worker ${workerId}, progress not recorded`);
+        }
+      })
+      .catch(error => console.error(`Progress update failed for ${documentId}:`, error.message));
+    return writeChain;
+  };
+
+  const completeCurrentStage = () => {
+    if (!currentStage) return;
+
+    const timing = timings[currentStage];
+    timing.completedAt = new Date().toISOString();
+    timing.durationMs = Date.parse(timing.completedAt) - Date.parse(timing.startedAt);
+    console.log(`⏱️ Stage ${currentStage} took ${timing.durationMs}ms`);
+  };
+
+  /**
+   * Move to the next stage (closes the timing of the previous one)
+   * @param {string} stage - One of download, parse, chunk, embed, store
+   */
+  const startStage = (stage) => {
+    if (stage === currentStage) return writeChain;
+
+    completeCurrentStage();
+    currentStage = stage;
+    timings[stage] = { startedAt: new Date().toISOString() };
+
+    return write({
+      processing_stage: stage,
+      progress_percent: computePercent(stage, 0),
+      stage_timings: timings
+    });
+  };
+
+  /**
+   * Report progress within a stage; switches stage first if needed
+   * @param {string} stage - Stage the progress belongs to
+   * @param {number} completed - Units done (e.g. chunks embedded)
+   * @param {number} total - Total units in the stage
+   */
+  const update = (stage, completed, total) => {
+    if (stage !== currentStage) {
+      startStage(stage);
+    }
+
+    Object.assign(timings[stage], { completed, total });
+
+    const isLast = completed >= total;
+    if (!isLast && Date.now() - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS) {
+      return writeChain;
+    }
+
+    return write({
+      progress_percent: computePercent(stage, total > 0 ? completed / total : 1),
+      stage_timings: timings
+    });
+  };
+
+  /**
+   * Close the last stage and return the fields for the final document update
+   * @param {boolean} succeeded - Whether processing completed
+   * @returns {Promise<object>} - Progress fields to merge into the final update
+   */
+  const finish = async (succeeded) => {
+    completeCurrentStage();
+
+    // Let pending progress writes land before the final update
+    await writeChain;
+
+    if (!succeeded) {
+      // Keep the stage that failed so it shows up in the status
+      return { stage_timings: timings };
+    }
+
+    return {
+      processing_stage: 'done',
+      progress_percent: 100,
+      stage_timings: timings
+    };
+  };
+
+  return {
+    startStage,
+    update,
+    finish,
+    getTimings: () => timings
+  };
+};
+
+module.exports = {
+  createProgressTracker,
+  computePercent,
+  STAGES
+};
@@ -0,0 +1,132 @@
+// Retry policy for document processing failures
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 30 * 1000; // 30 seconds
+const MAX_DELAY_MS = parseInt(process.env.JOB_RETRY_MAX_MS, 10) || 60 * 60 * 1000; // 1 hour
+
+// HTTP statuses worth retrying (timeouts, rate limits, server-side outages)
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network-level error codes (axios/Node) and Azure OpenAI error codes
+const RETRYABLE_CODES = [
+  'ECONNABORTED',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'ERR_SOCKET_CONNECTION_TIMEOUT',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'rate_limit_exceeded'
+];
+
+const RETRYABLE_MESSAGE_PATTERN = /fetch failed|socket hang up|timeout|timed out|network error/i;
+
+/**
+ * Decide whether an error is transient and worth retrying
+ * An explicit `error.retryable` flag wins; otherwise the status, code and
+ * message of the error and its `cause` chain are inspected.
+ * @param {Error} error - Error thrown while processing
+ * @returns {boolean} - True for transient errors (outage, timeout, rate limit)
+ */
+const isRetryableError = (error) => {
+  let current = error;
+
+  while (current) {
+    if (typeof current.retryable === 'boolean') {
+      return current.retryable;
+    }
+
+    const status = current.status || current.response?.status;
+    if (status) {
+      return RETRYABLE_STATUSES.includes(status);
+    }
+
+    if (current.code && RETRYABLE_CODES.includes(current.code)) {
+      return true;
+    }
+
+    if (current.message && RETRYABLE_MESSAGE_PATTERN.test(current.message)) {
+      return true;
+    }
+
+    current = current.cause;
+  }
+
+  return false;
+};
+
+/**
+ * Create an error that should never be retried (bad input, policy violation)
+ * @param {string} code - Machine-readable error code (e.g. FILE_TYPE_MISMATCH)
+ * @param {string} message - Human-readable message
+ * @returns {Error} - Error with `code` set and `retryable: false`
+ */
+const createPermanentError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Exponential backoff delay for the given attempt, with ±20% jitter
+ * @param {number} attempt - Attempt number that just failed (1-based)
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attempt) => {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  const jitter = delay * 0.2 * (Math.random() * 2 - 1);
+  return Math.round(delay + jitter);
+};
+
+/**
+ * Build the document update for a failed processing attempt
+ * - retryable and attempts left → 'pending' with next_retry_at
+ * - retryable and attempts exhausted → 'dead_letter'
+ * - permanent → 'failed'
+ * @param {object} document - Claimed document row
+ * @param {Error} error - Error that ended the attempt
+ * @returns {object} - Fields to update on the document
+ */
+const buildFailureUpdate = (document, error) => {
+  const attempt = (document.attempt_count || 0) + 1;
+  const retryable = isRetryableError(error);
+  const now = new Date();
+
+  const errorHistory = [
+    ...(document.error_history || []),
+    {
+      attempt,
+      at: now.toISOString(),
+      message: error.message,
+      code: error.code || error.cause?.code || null,
+      retryable
+    }
+  ];
+
+  const updates = {
+    attempt_count: attempt,
+    processing_error: error.message,
+    error_history: errorHistory,
+    next_retry_at: null
+  };
+
+  if (!retryable) {
+    updates.processing_status = 'failed';
+  } else if (attempt >= MAX_ATTEMPTS) {
+    updates.processing_status = 'dead_letter';
+  } else {
+    updates.processing_status = 'pending';
+    updates.next_retry_at = new Date(now.getTime() + getBackoffDelay(attempt)).toISOString();
+  }
+
+  return updates;
+};
+
+module.exports = {
+  isRetryableError,
+  getBackoffDelay,
+  buildFailureUpdate,
+  createPermanentError,
+  MAX_ATTEMPTS
+};
@@ -0,0 +1,146 @@
+const XLSX = require('xlsx');
+const { countTokens, CHUNK_MAX_TOKENS } = require('./chunkingService');
+
+// Target size of a table chunk in embedding-model tokens (same budget as text chunks)
+const TABLE_CHUNK_TOKENS = parseInt(process.env.TABLE_CHUNK_TOKENS, 10) || CHUNK_MAX_TOKENS;
+
+// Rows searched for the header row
+const HEADER_SCAN_ROWS = 10;
+
+/**
+ * Format one row as a CSV line
+ * @param {array} cells - Cell values (formatted text)
+ * @returns {string} - CSV line
+ */
+const formatRow = (cells) => {
+  return cells
+    .map(value => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',')
+    .replace(/,+$/, ''); // Trailing empty cells add nothing
+};
+
+/**
+ * Quote a sheet name for use in a cell reference when needed (e.g. 'QC Log'!A1)
+ * @param {string} sheetName - Sheet name
+ * @returns {string} - Reference-safe sheet name
+ */
+const quoteSheetName = (sheetName) => {
+  return /^[A-Za-z_][A-Za-z0-9_.]*$/.test(sheetName)
+    ? sheetName
+    : `'${sheetName.replace(/'/g, '\'\'')}'`;
+};
+
+/**
+ * Find the header row of a sheet
+ * The first row (among the first few non-empty ones) that is mostly text and about
+ * as wide as the table is taken as the header; title rows above it are skipped.
+ * @param {array} rows - Rows as arrays of formatted values
+ * @returns {number} - Index into rows, or -1 if the sheet has no recognizable header
+ */
+const detectHeaderRow = (rows) => {
+  const width = Math.max(0, ...rows.map(row => row.filter(value => value !== '').length));
+  let scanned = 0;
+
+  for (let index = 0; index < rows.length && scanned < HEADER_SCAN_ROWS; index++) {
+    const filled = rows[index].filter(value => value !== '');
+    if (filled.length === 0) continue;
+    scanned++;
+
+    const textCells = filled.filter(value => Number.isNaN(Number(String(value).replace(/[,%\s]/g, ''))));
+    const hasDataBelow = rows.slice(index + 1).some(row => row.some(value => value !== ''));
+
+    if (
+      filled.length >= Math.max(2, Math.ceil(width * 0.5)) &&
+      textCells.length / filled.length >= 0.7 &&
+      hasDataBelow
+    ) {
+      return index;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Split a worksheet into table chunks of whole rows, each repeating the header row
+ * Chunks carry the sheet name and the cell range of their data rows, so answers
+ * can cite the exact cells (e.g. Sheet2!A40:H60).
+ * @param {object} sheet - SheetJS worksheet
+ * @param {string} sheetName - Sheet name
+ * @returns {array} - [{ text, metadata: { contentType, sheetName, cellRange, headerRow } }]
+ */
+const buildSheetChunks = (sheet, sheetName) => {
+  if (!sheet || !sheet['!ref']) {
+    return [];
+  }
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+    .map(row => row.map(value => String(value).trim()));
+
+  const firstCol = XLSX.utils.encode_col(range.s.c);
+  const lastCol = XLSX.utils.encode_col(range.e.c);
+  const excelRow = (index) => range.s.r + index + 1;
+
+  const headerIndex = detectHeaderRow(rows);
+  const header = headerIndex >= 0 ? formatRow(rows[headerIndex]) : null;
+
+  // Title rows above the header give context (e.g. "Torque specifications - Line 3")
+  const preamble = rows
+    .slice(0, Math.max(headerIndex, 0))
+    .map(formatRow)
+    .filter(Boolean)
+    .join(' ')
+    .slice(0, 200);
+
+  const prefix = [`Sheet: ${sheetName}`, preamble, header].filter(Boolean).join('\n');
+  const chunks = [];
+  const prefixTokens = countTokens(prefix);
+  let group = [];
+  let groupTokens = prefixTokens;
+
+  const flush = () => {
+    if (group.length === 0) return;
+
+    const start = excelRow(group[0].index);
+    const end = excelRow(group[group.length - 1].index);
+
+    chunks.push({
+      text: `${prefix}\n${group.map(row => row.line).join('\n')}`,
+      metadata: {
+        contentType: 'table',
+        sheetName,
+        cellRange: `${quoteSheetName(sheetName)}!${firstCol}${start}:${lastCol}${end}`,
+        headerRow: headerIndex >= 0 ? excelRow(headerIndex) : null
+      }
+    });
+
+    group = [];
+    groupTokens = prefixTokens;
+  };
+
+  for (let index = headerIndex + 1; index < rows.length; index++) {
+    const line = formatRow(rows[index]);
+    if (!line) continue; // Blank row
+
+    const lineTokens = countTokens(line) + 1;
+    if (group.length > 0 && groupTokens + lineTokens > TABLE_CHUNK_TOKENS) {
+      flush();
+    }
+
+    group.push({ index, line });
+    groupTokens += lineTokens;
+  }
+  flush();
+
+  return chunks;
+};
+
+module.exports = {
+  buildSheetChunks,
+  detectHeaderRow,
+  TABLE_CHUNK_TOKENS
+};
@@ -0,0 +1,51 @@
+const cloudinary = require('../config/cloudinary');
+
+// Cloudinary folder all document files are stored in
+const STORAGE_FOLDER = 'manufacturing-compliance';
+
+/**
+ * Upload a file to Cloudinary with public access
+ * @param {Buffer} buffer - File contents
+ * @param {string} originalname - Original filename (extension is dropped from the public id)
+ * @returns {Promise<object>} - Cloudinary upload result (secure_url, public_id, ...)
+ */
+const uploadFile = (buffer, originalname) => {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: STORAGE_FOLDER,
+        resource_type: 'auto',
+        public_id: `${Date.now()}-${originalname.replace(/\.[^/.]+$/, '')}`,
+        access_mode: 'public', // ✅ makes file publicly accessible
+        type: 'upload' // ✅ not 'authenticated'
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    );
+    uploadStream.end(buffer);
+  });
+};
+
+/**
+ * Delete a file from Cloudinary
+ * Failures are logged and swallowed; a leftover file must not block deleting the document.
+ * @param {string} publicId - Cloudinary public id
+ * @returns {Promise<boolean>} - True if the delete call succeeded
+ */
+const deleteFile = async (publicId) => {
+  try {
+    await cloudinary.uploader.destroy(publicId);
+    console.log('Deleted from Cloudinary:', publicId);
+    return true;
+  } catch (error) {
+    console.error('Cloudinary deletion error:', error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  uploadFile,
+  deleteFile
+};
@@ -0,0 +1,125 @@
+const chardet = require('chardet'); // Statistical charset detection
+const iconv = require('iconv-lite');
+
+// Bytes inspected by the statistical detector
+const DETECT_SAMPLE_BYTES = 64 * 1024;
+
+// Byte order marks, longest first
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], encoding: 'utf-8' },
+  { bytes: [0xff, 0xfe], encoding: 'utf-16le' },
+  { bytes: [0xfe, 0xff], encoding: 'utf-16be' }
+];
+
+// Detector names decoded with a superset (browsers do the same: Latin-1 labelled text is usually cp1252)
+const ENCODING_ALIASES = {
+  'iso-8859-1': 'windows-1252',
+  'ascii': 'utf-8'
+};
+
+// Share of code units whose high byte is NUL for BOM-less text to count as UTF-16
+// (Latin-script UTF-16 is about half NUL bytes, all on one side; UTF-8 text has none)
+const UTF16_NUL_RATIO = 0.3;
+
+/**
+ * Recognise UTF-16 without a byte order mark by its NUL bytes
+ * ASCII and Latin-1 characters in UTF-16 have a NUL high byte: at odd offsets in
+ * little-endian, at even offsets in big-endian. Such text is also valid UTF-8, and
+ * chardet only reports UTF-16 with a BOM, so this check runs first.
+ * @param {Buffer} buffer - Bytes
+ * @returns {string|null} - 'utf-16le' | 'utf-16be', or null
+ */
+const detectUtf16 = (buffer) => {
+  const sample = buffer.subarray(0, DETECT_SAMPLE_BYTES);
+  const units = Math.floor(sample.length / 2);
+
+  if (units === 0) {
+    return null;
+  }
+
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < units * 2; i += 2) {
+    if (sample[i] === 0) evenNuls++;
+    if (sample[i + 1] === 0) oddNuls++;
+  }
+
+  if (oddNuls >= units * UTF16_NUL_RATIO && evenNuls * 10 < oddNuls) {
+    return 'utf-16le';
+  }
+  if (evenNuls >= units * UTF16_NUL_RATIO && oddNuls * 10 < evenNuls) {
+    return 'utf-16be';
+  }
+  return null;
+};
+
+/**
+ * Check whether a buffer is valid UTF-8 (plain ASCII included)
+ * @param {Buffer} buffer - Bytes
+ * @returns {boolean} - True if it decodes without errors
+ */
+const isValidUtf8 = (buffer) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Decode a text file to a string, whatever its encoding
+ * A byte order mark wins; then UTF-16 is recognised by its NUL bytes, valid UTF-8 is
+ * taken as UTF-8, and anything else (Windows-1252, Shift-JIS, GB18030, ... from older
+ * plant-floor systems) goes through statistical detection. Falls back to Windows-1252,
+ * which decodes any byte.
+ * @param {Buffer} buffer - File contents
+ * @returns {object} - { text, encoding: { name, source: 'bom'|'utf8'|'detected'|'fallback', confidence } }
+ */
+const decodeText = (buffer) => {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+
+  if (bom) {
+    return {
+      text: iconv.decode(buffer, bom.encoding), // iconv strips the BOM
+      encoding: { name: bom.encoding, source: 'bom', confidence: 100 }
+    };
+  }
+
+  const utf16 = detectUtf16(buffer);
+
+  if (utf16) {
+    console.log(`🔤 Text encoding: ${utf16} (detected without BOM)`);
+    return {
+      text: iconv.decode(buffer, utf16),
+      encoding: { name: utf16, source: 'detected', confidence: 100 }
+    };
+  }
+
+  if (isValidUtf8(buffer)) {
+    return {
+      text: buffer.toString('utf-8'),
+      encoding: { name: 'utf-8', source: 'utf8', confidence: 100 }
+    };
+  }
+
+  const candidate = chardet.analyse(buffer.subarray(0, DETECT_SAMPLE_BYTES))
+    .map(match => ({ ...match, name: ENCODING_ALIASES[match.name.toLowerCase()] || match.name.toLowerCase() }))
+    .find(match => match.name !== 'utf-8' && iconv.encodingExists(match.name));
+
+  const encoding = candidate
+    ? { name: candidate.name, source: 'detected', confidence: candidate.confidence }
+    : { name: 'windows-1252', source: 'fallback', confidence: 0 };
+
+  console.log(`🔤 Text encoding: ${encoding.name} (${encoding.source}, confidence ${encoding.confidence})`);
+
+  return {
+    text: iconv.decode(buffer, encoding.name),
+    encoding
+  };
+};
+
+module.exports = {
+  decodeText,
+  detectUtf16
+};
@@ -0,0 +1,414 @@
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const { decodeHtmlEntities } = require('./markupService');
+const { buildTableChunks, toMarkdown } = require('./pdfTableService');
+const { chunkTextByTokens, countTokens, CHUNK_MAX_TOKENS } = require('./chunkingService');
+
+// Separator between headings in a section path
+const SECTION_PATH_SEPARATOR = ' > ';
+
+const VOID_TAGS = new Set(['br', 'img', 'hr']);
+
+/**
+ * Parse the (well-formed) HTML produced by mammoth into a node tree
+ * @param {string} html - mammoth HTML
+ * @returns {object} - Root node { tag, children } (text nodes are strings)
+ */
+const parseHtmlTree = (html) => {
+  const root = { tag: 'root', children: [] };
+  const stack = [root];
+  const tokenPattern = /<\/?([a-z0-9]+)\b[^>]*?(\/?)>|([^<]+)/gi;
+  let match;
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, tagName, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+
+    if (text !== undefined) {
+      current.children.push(decodeHtmlEntities(text));
+    } else if (token[1] === '/') {
+      // Close the nearest matching element
+      const index = stack.map(node => node.tag).lastIndexOf(tagName.toLowerCase());
+      if (index > 0) stack.length = index;
+    } else {
+      const node = { tag: tagName.toLowerCase(), children: [] };
+      current.children.push(node);
+      if (!selfClosing && !VOID_TAGS.has(node.tag)) {
+        stack.push(node);
+      }
+    }
+  }
+
+  return root;
+};
+
+/**
+ * Plain text of a node (line breaks kept, whitespace collapsed)
+ * @param {object|string} node - Tree node
+ * @returns {string} - Text content
+ */
+const nodeText = (node) => {
+  if (typeof node === 'string') return node;
+  if (node.tag === 'br') return '\n';
+
+  const separator = node.tag === 'p' || node.tag === 'li' ? '\n' : '';
+  return node.children.map(nodeText).join('').replace(/[ \t]+/g, ' ').trim() + separator;
+};
+
+/**
+ * Render a list as text lines ("1. ..." / "- ..."), nested lists indented
+ * @param {object} node - <ol> / <ul> node
+ * @param {number} depth - Nesting depth
+ * @returns {string} - List text
+ */
+const renderList = (node, depth = 0) => {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+
+  node.children
+    .filter(child => child.tag === 'li')
+    .forEach((item, index) => {
+      const marker = node.tag === 'ol' ? `${index + 1}.` : '-';
+      const ownText = item.children
+        .filter(child => typeof child === 'string' || !['ol', 'ul'].includes(child.tag))
+        .map(nodeText)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      lines.push(`${indent}${marker} ${ownText}`);
+
+      item.children
+        .filter(child => child.tag === 'ol' || child.tag === 'ul')
+        .forEach(sublist => lines.push(renderList(sublist, depth + 1)));
+    });
+
+  return lines.join('\n');
+};
+
+/**
+ * Read a table's rows (first row is the header)
+ * @param {object} node - <table> node
+ * @returns {object} - { header, rows } cell texts
+ */
+const readTable = (node) => {
+  const rows = [];
+  const collectRows = (parent) => parent.children.forEach(child => {
+    if (child.tag === 'tr') rows.push(child);
+    else if (child.children) collectRows(child); // thead / tbody
+  });
+  collectRows(node);
+
+  const [header = [], ...body] = rows.map(row => row.children
+    .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+    .map(cell => nodeText(cell).replace(/\s*\n\s*/g, ' ').trim()));
+
+  return { header, rows: body };
+};
+
+/**
+ * Value of a w:val attribute on the first matching element
+ * @param {string} xml - XML fragment
+ * @param {string} tagName - Qualified tag name (e.g. 'w:numId')
+ * @returns {string|null} - Attribute value
+ */
+const readVal = (xml, tagName) => {
+  const match = new RegExp(`<${tagName}\\b[^>]*\\bw:val="([^"]*)"`).exec(xml);
+  return match ? match[1] : null;
+};
+
+/**
+ * Paragraph numbering set directly or by style
+ * @param {string} xml - <w:pPr> or <w:style> XML
+ * @returns {object|null} - { numId, ilvl } (ilvl null when not given)
+ */
+const readNumPr = (xml) => {
+  const numPr = /<w:numPr>([\s\S]*?)<\/w:numPr>/.exec(xml);
+  if (!numPr) return null;
+
+  const ilvl = readVal(numPr[1], 'w:ilvl');
+  return { numId: readVal(numPr[1], 'w:numId'), ilvl: ilvl === null ? null : Number(ilvl) };
+};
+
+/**
+ * Format a list counter in a Word number format
+ * @param {number} value - Counter value
+ * @param {string} format - w:numFmt (decimal, upperRoman, lowerLetter, ...)
+ * @returns {string} - Formatted number
+ */
+const formatCounter = (value, format) => {
+  const roman = () => [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']]
+    .reduce((text, [size, digits]) => {
+      while (value >= size) { text += digits; value -= size; }
+      return text;
+    }, '');
+  const letter = () => String.fromCharCode(97 + ((value - 1) % 26)).repeat(Math.floor((value - 1) / 26) + 1);
+
+  switch (format) {
+    case 'upperRoman': return roman().toUpperCase();
+    case 'lowerRoman': return roman();
+    case 'upperLetter': return letter().toUpperCase();
+    case 'lowerLetter': return letter();
+    case 'decimalZero': return String(value).padStart(2, '0');
+    case 'bullet':
+    case 'none': return '';
+    default: return String(value);
+  }
+};
+
+/**
+ * Work out the automatic numbers of the headings in a .docx ("5", "5.3")
+ * mammoth drops list numbering, so numbered headings would lose their numbers. The
+ * paragraphs of word/document.xml are walked in order with numbering.xml counters;
+ * numbering comes from the paragraph or its (inherited) heading style.
+ * @param {object} zip - JSZip archive of the .docx
+ * @returns {Promise<array>} - [{ text, number }] for every heading paragraph, in document order
+ */
+const readHeadingNumbers = async (zip) => {
+  const [documentXml, stylesXml, numberingXml] = await Promise.all(
+    ['word/document.xml', 'word/styles.xml', 'word/numbering.xml']
+      .map(name => zip.file(name)?.async('string') || '')
+  );
+
+  const styles = {};
+  for (const [xml] of stylesXml.matchAll(/<w:style\b[^>]*w:type="paragraph"[\s\S]*?<\/w:style>/g)) {
+    const id = /w:styleId="([^"]*)"/.exec(xml)?.[1];
+    if (id) {
+      styles[id] = { name: (readVal(xml, 'w:name') || '').toLowerCase(), basedOn: readVal(xml, 'w:basedOn'), numPr: readNumPr(xml) };
+    }
+  }
+
+  const abstractNums = {};
+  for (const [xml] of numberingXml.matchAll(/<w:abstractNum\b[\s\S]*?<\/w:abstractNum>/g)) {
+    const levels = {};
+    for (const [lvl] of xml.matchAll(/<w:lvl\b[\s\S]*?<\/w:lvl>/g)) {
+      levels[Number(/w:ilvl="(\d+)"/.exec(lvl)?.[1] || 0)] = {
+        start: Number(readVal(lvl, 'w:start') || 1),
+        format: readVal(lvl, 'w:numFmt') || 'decimal',
+        text: readVal(lvl, 'w:lvlText') ?? '',
+        style: readVal(lvl, 'w:pStyle')
+      };
+    }
+    abstractNums[/w:abstractNumId="(\d+)"/.exec(xml)?.[1]] = levels;
+  }
+
+  const nums = {};
+  for (const [xml, numId] of numberingXml.matchAll(/<w:num\b[^>]*w:numId="(\d+)"[^>]*>[\s\S]*?<\/w:num>/g)) {
+    nums[numId] = abstractNums[readVal(xml, 'w:abstractNumId')] || null;
+  }
+
+  // Style chain: heading level and inherited numbering
+  const resolveStyle = (id, depth = 0) => {
+    const style = styles[id];
+    if (!style || depth > 10) return { headingLevel: null, numPr: null };
+
+    const parent = style.basedOn ? resolveStyle(style.basedOn, depth + 1) : { headingLevel: null, numPr: null };
+    const level = /^heading (\d)$/.exec(style.name);
+    return {
+      headingLevel: level ? Number(level[1]) : parent.headingLevel,
+      numPr: style.numPr || parent.numPr
+    };
+  };
+
+  const counters = {}; // numId → counter per level
+  const headings = [];
+
+  for (const [paragraph] of documentXml.matchAll(/<w:p\b[\s\S]*?<\/w:p>/g)) {
+    const pPr = /<w:pPr>([\s\S]*?)<\/w:pPr>/.exec(paragraph)?.[1] || '';
+    const styleId = readVal(pPr, 'w:pStyle');
+    const style = resolveStyle(styleId);
+    const direct = readNumPr(pPr);
+    const numPr = direct || style.numPr
+      ? { numId: direct?.numId || style.numPr?.numId, ilvl: direct?.ilvl ?? style.numPr?.ilvl ?? null }
+      : null;
+
+    let number = '';
+    const levels = numPr && numPr.numId !== '0' ? nums[numPr.numId] : null;
+
+    if (levels) {
+      const ilvl = numPr.ilvl ?? Number(Object.keys(levels).find(key => levels[key].style === styleId) || 0);
+      const level = levels[ilvl];
+      const counter = counters[numPr.numId] = counters[numPr.numId] || [];
+
+      if (level) {
+        counter[ilvl] = counter[ilvl] === undefined ? level.start : counter[ilvl] + 1;
+        counter.length = ilvl + 1; // deeper levels restart
+
+        number = level.text
+          .replace(/%(\d)/g, (match, n) => {
+            const index = Number(n) - 1;
+            return levels[index] ? formatCounter(counter[index] ?? levels[index].start, levels[index].format) : '';
+          })
+          .trim()
+          .replace(/[.)]$/, '');
+      }
+    }
+
+    if (style.headingLevel) {
+      const text = [...paragraph.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g)]
+        .map(match => decodeHtmlEntities(match[1]))
+        .join('')
+        .replace(/\s+/g, ' ')
+        .trim();
+      headings.push({ text, number });
+    }
+  }
+
+  return headings;
+};
+
+/**
+ * Split a .docx into sections along its heading hierarchy
+ * Content before the first heading forms a section with an empty path. Automatic
+ * heading numbers are put back in front of the heading text ("5.3 Calibration").
+ * @param {Buffer} buffer - .docx file buffer
+ * @returns {Promise<array>} - [{ path, heading, level, blocks: [{ type: 'text'|'list'|'table', text }] }],
+ *   table blocks also carry { header, rows }
+ */
+const extractDocxSections = async (buffer) => {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const root = parseHtmlTree(html);
+
+  const headingNumbers = await readHeadingNumbers(await JSZip.loadAsync(buffer)).catch(error => {
+    console.warn('Could not read Word heading numbers:', error.message);
+    return [];
+  });
+  let nextHeading = 0;
+
+  // mammoth keeps the document order, so headings are matched by text from where the last one was found
+  const numberHeading = (text) => {
+    const index = headingNumbers.findIndex((entry, i) => i >= nextHeading && entry.text === text);
+    if (index < 0) return text;
+
+    nextHeading = index + 1;
+    return headingNumbers[index].number ? `${headingNumbers[index].number} ${text}` : text;
+  };
+
+  const sections = [];
+  const headingStack = []; // [{ level, text }]
+  let current = { path: '', heading: null, level: 0, blocks: [] };
+
+  const addBlock = (type, text, extra = {}) => {
+    if (text && text.trim()) {
+      current.blocks.push({ type, text: text.trim(), ...extra });
+    }
+  };
+
+  for (const node of root.children) {
+    if (typeof node === 'string') {
+      addBlock('text', node);
+      continue;
+    }
+
+    const headingMatch = /^h([1-6])$/.exec(node.tag);
+
+    if (headingMatch) {
+      const level = parseInt(headingMatch[1], 10);
+      const headingText = nodeText(node).replace(/\s+/g, ' ').trim();
+      if (!headingText) continue;
+      const heading = numberHeading(headingText);
+
+      if (current.blocks.length > 0 || current.heading) {
+        sections.push(current);
+      }
+
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level, text: heading });
+
+      current = {
+        path: headingStack.map(entry => entry.text).join(SECTION_PATH_SEPARATOR),
+        heading,
+        level,
+        blocks: []
+      };
+    } else if (node.tag === 'ol' || node.tag === 'ul') {
+      addBlock('list', renderList(node));
+    } else if (node.tag === 'table') {
+      const table = readTable(node);
+      addBlock('table', toMarkdown(table.header, table.rows), table);
+    } else {
+      addBlock('text', nodeText(node));
+    }
+  }
+
+  if (current.blocks.length > 0 || current.heading) {
+    sections.push(current);
+  }
+
+  return sections;
+};
+
+/**
+ * Cut a section into chunks; chunks never span sections
+ * Text between tables goes through the token chunker (paragraph and sentence
+ * boundaries), each chunk starting with the section path so it reads in context.
+ * Tables get chunks of their own (contentType 'table') of whole rows, each
+ * repeating the header row.
+ * @param {object} section - Section from extractDocxSections
+ * @returns {array} - [{ text, metadata: { contentType, sectionPath, headingLevel } }], table chunks
+ *   also carry { tableIndex, columns, rowStart, rowEnd }
+ */
+const buildSectionChunks = (section) => {
+  const prefix = section.path ? `${section.path}\n` : '';
+  // The path is repeated in every chunk, so it comes out of the token budget
+  const maxTokens = Math.max(Math.floor(CHUNK_MAX_TOKENS / 4), CHUNK_MAX_TOKENS - countTokens(prefix));
+  const sectionMetadata = {
+    sectionPath: section.path || null,
+    headingLevel: section.level || null
+  };
+  const chunks = [];
+  let parts = [];
+  let tableIndex = 0;
+
+  const push = (text, contentType) => {
+    chunks.push({
+      text: (prefix + text).trim(),
+      metadata: { contentType, ...sectionMetadata }
+    });
+  };
+
+  const flush = () => {
+    if (parts.length > 0) {
+      // Short paragraphs are kept: under their section path they still say something
+      chunkTextByTokens(parts.join('\n\n'), { maxTokens, minTokens: 1 }).forEach(text => push(text, 'text'));
+      parts = [];
+    }
+  };
+
+  for (const block of section.blocks) {
+    if (block.type === 'table') {
+      flush();
+      tableIndex++;
+
+      // A header-only table has no row groups
+      const tableChunks = block.rows.length > 0
+        ? buildTableChunks({ caption: null, header: block.header, rows: block.rows }, tableIndex)
+        : [{ text: block.text, metadata: { contentType: 'table', tableIndex, caption: null, columns: block.header, rowStart: 0, rowEnd: 0 } }];
+
+      tableChunks.forEach(chunk => chunks.push({
+        text: (prefix + chunk.text).trim(),
+        metadata: { ...chunk.metadata, ...sectionMetadata }
+      }));
+      continue;
+    }
+
+    parts.push(block.text);
+  }
+  flush();
+
+  // A heading with nothing under it still names the section
+  if (chunks.length === 0 && section.heading) {
+    push('', 'text');
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  extractDocxSections,
+  buildSectionChunks,
+  SECTION_PATH_SEPARATOR
+};
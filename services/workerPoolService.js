@@ -0,0 +1,110 @@
+// Concurrency limits for this worker instance
+const MAX_CONCURRENT_DOCUMENTS = parseInt(process.env.MAX_CONCURRENT_DOCUMENTS, 10) || 2;
+const MAX_CONCURRENT_EMBEDDINGS = parseInt(process.env.MAX_CONCURRENT_EMBEDDINGS, 10) || 5;
+
+/**
+ * Create a bounded pool: at most `concurrency` tasks run at once, the rest wait in FIFO order
+ * @param {string} name - Pool name (for logs and stats)
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {object} - { run, close, waitForIdle, stats, availableSlots }
+ */
+const createPool = (name, concurrency) => {
+  const queue = [];
+  const idleWaiters = [];
+  let active = 0;
+  let closed = false;
+
+  const next = () => {
+    if (active === 0 && queue.length === 0) {
+      idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+
+    while (!closed && active < concurrency && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  /**
+   * Run a task when a slot is free
+   * @param {function} task - Async function to run
+   * @returns {Promise<any>} - Resolves/rejects with the task's result
+   */
+  const run = (task) => new Promise((resolve, reject) => {
+    if (closed) {
+      return reject(new Error(`Pool ${name} is closed`));
+    }
+
+    queue.push({ task, resolve, reject });
+    next();
+  });
+
+  /**
+   * Stop starting tasks; queued tasks are rejected, running tasks continue
+   * @returns {number} - Number of queued tasks that were rejected
+   */
+  const close = () => {
+    closed = true;
+    const dropped = queue.splice(0);
+    dropped.forEach(({ reject }) => reject(new Error(`Pool ${name} is closed`)));
+    next();
+    return dropped.length;
+  };
+
+  /**
+   * Wait until no task is running or queued
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<boolean>} - False if the timeout was reached first
+   */
+  const waitForIdle = (timeoutMs) => {
+    if (active === 0 && queue.length === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), timeoutMs);
+      idleWaiters.push(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+    });
+  };
+
+  return {
+    run,
+    close,
+    waitForIdle,
+    stats: () => ({ name, concurrency, active, queued: queue.length, closed }),
+    availableSlots: () => closed ? 0 : Math.max(0, concurrency - active - queue.length)
+  };
+};
+
+// Whole documents (download → store) processed at once
+const documentPool = createPool('documents', MAX_CONCURRENT_DOCUMENTS);
+
+// Azure embedding requests in flight, shared by all documents
+const embeddingPool = createPool('embeddings', MAX_CONCURRENT_EMBEDDINGS);
+
+/**
+ * Current load of both pools (reported on /health)
+ * @returns {object} - { documents, embeddings }
+ */
+const getPoolStats = () => ({
+  documents: documentPool.stats(),
+  embeddings: embeddingPool.stats()
+});
+
+module.exports = {
+  createPool,
+  documentPool,
+  embeddingPool,
+  getPoolStats
+};
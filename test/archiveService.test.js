@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+
+// Small limits; the services read them when loaded
+process.env.MAX_CHILD_FILE_BYTES = '1000';
+process.env.ARCHIVE_MAX_TOTAL_BYTES = '5000';
+
+const { extractArchive } = require('../services/archiveService');
+const { parseFile } = require('../services/fileparsingService');
+
+/**
+ * Build a ZIP archive
+ * @param {object} files - Path → contents
+ * @returns {Promise<Buffer>} - ZIP file
+ */
+const buildZip = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([name, content]) => zip.file(name, content));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+test('skips entries over the per-file cap without extracting them', async () => {
+  const buffer = await buildZip({
+    'evidence/report.txt': 'Torque check passed on line 3.',
+    'evidence/scan.txt': 'x'.repeat(50000)
+  });
+
+  const files = await extractArchive(buffer);
+
+  assert.deepStrictEqual(files.map(file => [file.path, file.content && file.content.length, file.skippedReason]), [
+    ['evidence/report.txt', 30, undefined],
+    ['evidence/scan.txt', null, 'larger than 1000 bytes']
+  ]);
+
+  const parsed = await parseFile(buffer, 'application/zip', 'zip');
+  assert.match(parsed.text, /evidence\/scan\.txt \(larger than 1000 bytes\)/);
+  assert.strictEqual(parsed.attachments[1].skippedReason, 'larger than 1000 bytes');
+});
+
+test('rejects archives that expand past the total limit', async () => {
+  const files = {};
+  for (let i = 0; i < 6; i++) files[`part-${i}.txt`] = String(i).repeat(900);
+
+  await assert.rejects(extractArchive(await buildZip(files)), { code: 'ARCHIVE_TOO_LARGE' });
+});
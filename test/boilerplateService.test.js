@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parsePDF } = require('../services/fileparsingService');
+const { removeRepeatedHeadersFooters } = require('../services/boilerplateService');
+const { buildPdf } = require('./helpers/pdf');
+
+/**
+ * A work instruction page: the footer is written first, the header last
+ * @param {number} pageNumber - Page number
+ * @param {number} totalPages - Page count
+ * @returns {array} - Positioned lines
+ */
+const instructionPage = (pageNumber, totalPages) => [
+  { x: 72, y: 40, text: `Page ${pageNumber} of ${totalPages}` },
+  { x: 72, y: 700, text: `Torque the flange bolts to ${20 + pageNumber} Nm before step ${pageNumber}.` },
+  { x: 72, y: 680, text: `Check the gasket seat for damage in step ${pageNumber}.` },
+  { x: 72, y: 660, text: `Record the reading on form QF-${pageNumber}.` },
+  { x: 72, y: 640, text: `Step ${pageNumber}.` },
+  { x: 72, y: 620, text: 'Sign the traveller when the work is complete.' },
+  { x: 72, y: 750, text: 'ACME Assembly - Work Instruction WI-204' }
+];
+
+test('removes headers and footers by position on a multi-page PDF', async () => {
+  const totalPages = 5;
+  const buffer = buildPdf(Array.from({ length: totalPages }, (_, i) => instructionPage(i + 1, totalPages)));
+
+  const { pages } = await parsePDF(buffer);
+  const result = removeRepeatedHeadersFooters(pages);
+
+  assert.ok(result);
+  assert.deepStrictEqual(result.headers, ['ACME Assembly - Work Instruction WI-204']);
+  assert.deepStrictEqual(result.footers, ['Page 1 of 5']);
+  assert.strictEqual(result.pagesCleaned, totalPages);
+
+  pages.forEach((page, i) => {
+    assert.doesNotMatch(page.text, /Page \d+ of 5|WI-204/);
+    // Body lines that differ only in their numbers are kept
+    assert.match(page.text, new RegExp(`Torque the flange bolts to ${21 + i} Nm`));
+    assert.match(page.text, new RegExp(`Step ${i + 1}\\.`));
+  });
+});
+
+test('keeps short pages whole', async () => {
+  const buffer = buildPdf(Array.from({ length: 4 }, (_, i) => [
+    { x: 72, y: 700, text: 'Revision history' },
+    { x: 72, y: 680, text: `Rev ${i + 1}` },
+    { x: 72, y: 40, text: 'Approved' }
+  ]));
+
+  const { pages } = await parsePDF(buffer);
+
+  assert.strictEqual(removeRepeatedHeadersFooters(pages), null);
+  pages.forEach(page => assert.match(page.text, /Revision history/));
+});
+
+test('uses text order for pages without line positions', () => {
+  const pages = Array.from({ length: 4 }, (_, i) => ({
+    pageNumber: i + 1,
+    text: [
+      'Quality Manual QM-001',
+      `Section ${i + 1} covers the scope of clause ${i + 4}.`,
+      'Each process owner reviews this section yearly.',
+      `Slide ${i + 1}`
+    ].join('\n')
+  }));
+
+  const result = removeRepeatedHeadersFooters(pages);
+
+  assert.deepStrictEqual(result.headers, ['Quality Manual QM-001']);
+  assert.deepStrictEqual(result.footers, ['Slide 1']);
+  assert.match(pages[2].text, /^Section 3 covers the scope of clause 6\./);
+});
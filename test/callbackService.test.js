@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const SECRET = 'test-callback-secret';
+const RETRY_BASE_MS = 100;
+
+// Stand-in receiver: answers each request with the next queued status (200 when none are left)
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ body, headers: req.headers, at: Date.now() });
+    res.statusCode = statuses.shift() || 200;
+    res.end();
+  });
+});
+
+let callbackService;
+
+test.before(async () => {
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+  // The service reads its configuration when it is loaded
+  process.env.COMPLETION_CALLBACK_URL = `http://127.0.0.1:${receiver.address().port}/callbacks`;
+  process.env.CALLBACK_SECRET = SECRET;
+  process.env.CALLBACK_RETRY_BASE_MS = String(RETRY_BASE_MS);
+  callbackService = require('../services/callbackService');
+});
+
+test.after(() => new Promise(resolve => receiver.close(resolve)));
+
+test.beforeEach(() => {
+  received.length = 0;
+  statuses.length = 0;
+});
+
+test('signs the callback so the receiver can verify it', async () => {
+  const delivered = await callbackService.sendProcessingCallback({
+    documentId: 'doc-1',
+    status: 'completed',
+    totalPages: 12,
+    chunkCount: 48
+  });
+
+  assert.strictEqual(delivered, true);
+  assert.strictEqual(received.length, 1);
+
+  const [{ body, headers }] = received;
+  assert.strictEqual(callbackService.verifySignature(body, headers, SECRET), true);
+  assert.strictEqual(callbackService.verifySignature(body.replace('48', '49'), headers, SECRET), false);
+  assert.strictEqual(callbackService.verifySignature(body, headers, 'another-secret'), false);
+
+  const payload = JSON.parse(body);
+  assert.strictEqual(payload.event, 'document.completed');
+  assert.strictEqual(payload.totalPages, 12);
+  assert.strictEqual(payload.chunkCount, 48);
+});
+
+test('reports the error of a failed document', async () => {
+  await callbackService.sendProcessingCallback({
+    documentId: 'doc-2',
+    status: 'failed',
+    totalPages: 3,
+    chunkCount: 0,
+    error: 'No pages extracted from document'
+  });
+
+  const payload = JSON.parse(received[0].body);
+  assert.deepStrictEqual(
+    { event: payload.event, documentId: payload.documentId, totalPages: payload.totalPages, chunkCount: payload.chunkCount, error: payload.error },
+    { event: 'document.failed', documentId: 'doc-2', totalPages: 3, chunkCount: 0, error: 'No pages extracted from document' }
+  );
+});
+
+test('retries a 503 with backoff until the receiver accepts', async () => {
+  statuses.push(503);
+
+  const delivered = await callbackService.sendProcessingCallback({ documentId: 'doc-3', status: 'completed', totalPages: 1, chunkCount: 2 });
+
+  assert.strictEqual(delivered, true);
+  assert.strictEqual(received.length, 2);
+  assert.ok(received[1].at - received[0].at >= RETRY_BASE_MS, 'retry came before the backoff delay');
+  received.forEach(({ body, headers }) => assert.strictEqual(callbackService.verifySignature(body, headers, SECRET), true));
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { chunkTextByTokens, countTokens, splitSentences } = require('../services/chunkingService');
+
+const procedure = Array.from({ length: 40 }, (_, i) =>
+  `Step ${i + 1}: torque bolt M${8 + (i % 4) * 2} to ${20 + i} Nm and mark it with paint.`).join(' ');
+
+test('keeps chunks within the token budget and cuts at sentence ends', () => {
+  const chunks = chunkTextByTokens(procedure, { maxTokens: 60, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(countTokens(chunk) <= 60, `${countTokens(chunk)} tokens: ${chunk}`);
+    assert.match(chunk, /^Step \d+:/);
+    assert.match(chunk, /paint\.$/);
+  }
+  assert.strictEqual(chunks.join(' '), procedure);
+});
+
+test('carries whole sentences over as overlap', () => {
+  const chunks = chunkTextByTokens(procedure, { maxTokens: 60, overlapTokens: 25 });
+
+  for (let i = 1; i < chunks.length; i++) {
+    const firstSentence = splitSentences(chunks[i])[0].trim();
+    assert.ok(chunks[i - 1].endsWith(firstSentence), `chunk ${i} does not start with the end of chunk ${i - 1}`);
+  }
+});
+
+test('cuts an over-long sentence at word boundaries', () => {
+  const sentence = `${'gauge '.repeat(300).trim()}.`;
+  const chunks = chunkTextByTokens(sentence, { maxTokens: 50, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.match(chunk, /^(gauge ?)+\.?$/));
+});
+
+test('drops fragments shorter than the minimum unless asked to keep them', () => {
+  assert.deepStrictEqual(chunkTextByTokens('Page 3'), []);
+  assert.deepStrictEqual(chunkTextByTokens('Pack it.', { minTokens: 1 }), ['Pack it.']);
+});
+
+test('does not end sentences at abbreviations', () => {
+  assert.deepStrictEqual(
+    splitSentences('See Doc. No. 12 Rev. C for limits. Then sign.').map(sentence => sentence.trim()),
+    ['See Doc. No. 12 Rev. C for limits.', 'Then sign.']
+  );
+});
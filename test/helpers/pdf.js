@@ -0,0 +1,38 @@
+/**
+ * Build a PDF with Helvetica text placed at given positions
+ * @param {array} pages - Per page: [{ x, y, text }] in content-stream order
+ * @returns {Buffer} - PDF file
+ */
+const buildPdf = (pages) => {
+  const objects = [];
+  const add = (body) => objects.push(body);
+  const escape = value => value.replace(/([\\()])/g, '\\$1');
+
+  const fontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pagesId = add(null);
+  const kids = pages.map(items => {
+    const stream = items.map(item => `BT /F1 10 Tf ${item.x} ${item.y} Td (${escape(item.text)}) Tj ET`).join('\n');
+    const contentId = add(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 612 792] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  buildPdf
+};
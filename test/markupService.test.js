@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { rtfToText } = require('../services/markupService');
+
+test('leaves every kind of RTF header and footer out of the body text', () => {
+  const rtf = [
+    '{\\rtf1\\ansi\\ansicpg1252\\deff0\\headery720\\footery720',
+    '{\\header All pages QP-07}{\\headerr Right pages QP-07}{\\headerl Left pages QP-07}',
+    '{\\headerf CONFIDENTIAL QP-07}{\\footerr Page}{\\footerl Page}{\\footerf First page footer}',
+    '\\pard Inspect the bore diameter before assembly.\\par',
+    '}'
+  ].join('\n');
+
+  const text = rtfToText(Buffer.from(rtf, 'latin1'));
+
+  assert.match(text, /Inspect the bore diameter before assembly\./);
+  assert.doesNotMatch(text, /QP-07|Page|footer/);
+});
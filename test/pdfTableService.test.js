@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parsePDF } = require('../services/fileparsingService');
+const { buildPdf } = require('./helpers/pdf');
+
+/**
+ * Place lines one below the other
+ * @param {number} x - Left edge
+ * @param {array} texts - Line texts
+ * @returns {array} - Positioned lines
+ */
+const column = (x, texts) => texts.map((text, i) => ({ x, y: 700 - i * 14, text }));
+
+test('does not read two-column prose as a table', async () => {
+  const buffer = buildPdf([[
+    ...column(72, [
+      'The supplier shall maintain a documented',
+      'procedure for the control of nonconforming',
+      'product, including identification and',
+      'segregation of parts that fail inspection',
+      'before they reach the assembly line.'
+    ]),
+    ...column(330, [
+      'Records of each nonconformity and of any',
+      'subsequent actions taken, including the',
+      'concessions obtained, shall be retained',
+      'for the period defined in the quality plan',
+      'and made available to the customer.'
+    ])
+  ]]);
+
+  const { pages } = await parsePDF(buffer);
+
+  assert.strictEqual(pages[0].tableCount, undefined);
+  assert.strictEqual(pages[0].chunks, undefined);
+  assert.doesNotMatch(pages[0].text, /\|/);
+});
+
+test('reads an aligned table with short and numeric cells', async () => {
+  const buffer = buildPdf([[
+    { x: 72, y: 720, text: 'Table 2 - Torque values' },
+    ...column(72, ['Fastener', 'Bolt M8', 'Bolt M10', 'Bolt M12']).map(line => ({ ...line, y: line.y - 6 })),
+    ...column(250, ['Torque', '25 Nm', '45 Nm', '80 Nm']).map(line => ({ ...line, y: line.y - 6 }))
+  ]]);
+
+  const { pages } = await parsePDF(buffer);
+  const tables = pages[0].chunks.filter(chunk => chunk.metadata.contentType === 'table');
+
+  assert.strictEqual(pages[0].tableCount, 1);
+  assert.strictEqual(tables.length, 1);
+  assert.deepStrictEqual(tables[0].metadata.columns, ['Fastener', 'Torque']);
+  assert.match(tables[0].text, /\| Bolt M10 \| 45 Nm \|/);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { decodeText } = require('../services/textEncodingService');
+const { parseFile } = require('../services/fileparsingService');
+
+test('decodes UTF-16 without a byte order mark', () => {
+  const little = decodeText(Buffer.from('Hello world', 'utf16le'));
+  assert.strictEqual(little.text, 'Hello world');
+  assert.strictEqual(little.encoding.name, 'utf-16le');
+
+  const big = decodeText(Buffer.from('Prüfprotokoll Linie 3\r\n', 'utf16le').swap16());
+  assert.strictEqual(big.text, 'Prüfprotokoll Linie 3\r\n');
+  assert.strictEqual(big.encoding.name, 'utf-16be');
+});
+
+test('keeps UTF-8 and falls back to statistical detection', () => {
+  assert.deepStrictEqual(decodeText(Buffer.from('Größe 12 mm')).encoding,
+    { name: 'utf-8', source: 'utf8', confidence: 100 });
+
+  const legacy = decodeText(Buffer.from('Prüfung der Maße und Oberflächen', 'latin1'));
+  assert.strictEqual(legacy.text, 'Prüfung der Maße und Oberflächen');
+  assert.strictEqual(legacy.encoding.source, 'detected');
+});
+
+test('parses BOM-less UTF-16 uploads end to end', async () => {
+  const csv = await parseFile(Buffer.from('Part,Torque\nBolt M8,25 Nm\nBolt M10,45 Nm\n', 'utf16le'), 'text/csv', 'csv');
+  assert.match(csv.text, /Bolt M10,45 Nm/);
+
+  const text = await parseFile(Buffer.from('Shift handover notes for line 3', 'utf16le').swap16(), 'text/plain', 'txt');
+  assert.strictEqual(text.text, 'Shift handover notes for line 3');
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { buildSectionChunks } = require('../services/wordStructureService');
+const { buildTableChunks } = require('../services/pdfTableService');
+const { countTokens, CHUNK_MAX_TOKENS } = require('../services/chunkingService');
+const { TABLE_CHUNK_TOKENS } = require('../services/spreadsheetService');
+
+const path = '5 Production > 5.3 Calibration';
+
+test('chunks long section text in tokens at sentence boundaries, each chunk under the section path', () => {
+  const paragraph = Array.from({ length: 30 }, (_, i) =>
+    `Gauge T-${i + 1} is calibrated every ${30 + i} days against the reference standard.`).join(' ');
+
+  const chunks = buildSectionChunks({
+    path,
+    level: 2,
+    heading: 'Calibration',
+    blocks: [{ type: 'text', text: 'Calibrate daily.' }, { type: 'text', text: paragraph }]
+  });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.startsWith(`${path}\n`));
+    assert.ok(countTokens(chunk.text) <= CHUNK_MAX_TOKENS, `${countTokens(chunk.text)} tokens`);
+    assert.match(chunk.text, /[.]$/);
+    assert.deepStrictEqual(chunk.metadata, { contentType: 'text', sectionPath: path, headingLevel: 2 });
+  }
+  assert.match(chunks[0].text, /^5 Production > 5\.3 Calibration\nCalibrate daily\.\n\nGauge T-1 /);
+});
+
+test('groups table rows by tokens, repeating the header row', () => {
+  const header = ['Gauge', 'Interval', 'Owner'];
+  const rows = Array.from({ length: 60 }, (_, i) => [`T-${i + 1}`, `${30 + i} days`, 'Metrology lab']);
+
+  const chunks = buildTableChunks({ caption: null, header, rows }, 1);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.text.startsWith('| Gauge | Interval | Owner |'));
+    assert.ok(countTokens(chunk.text) <= TABLE_CHUNK_TOKENS, `${countTokens(chunk.text)} tokens`);
+  });
+  assert.strictEqual(chunks[chunks.length - 1].metadata.rowEnd, 60);
+});